@@ -0,0 +1,193 @@
+// File: server/algorithms/analyze.js
+// File analysis shown before an algorithm is picked: entropy, byte histogram, run and
+// repeat statistics, a detected file type and a predicted best codec. Entropy and the
+// histogram cover the whole file; the other statistics use auto mode's sample.
+
+const fs = require("fs");
+const { createEntropyCounter } = require("./entropy");
+const { readSample } = require("./auto");
+const { analyzeRLEEfficiency } = require("./rle");
+const { parseTokens } = require("./lz77");
+const { hasContainerHeader } = require("./container");
+const { detectStandardFormat } = require("./formats");
+const { getCodec } = require("./registry");
+
+// LZ77's default window with a shallow search: enough to estimate how much repeats
+const REPEAT_MATCHER = { windowSize: 32768, maxLength: 258, maxChainDepth: 16, lazy: false };
+
+// Magic numbers checked in order; container and archive formats come from their own modules
+const SIGNATURES = [
+  { type: "png", label: "PNG image", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "jpeg", label: "JPEG image", bytes: [0xff, 0xd8, 0xff] },
+  { type: "gif", label: "GIF image", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: "webp", label: "WebP image", bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+  { type: "wav", label: "WAV audio", bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x41, 0x56, 0x45] },
+  { type: "bmp", label: "BMP image", bytes: [0x42, 0x4d] },
+  { type: "pdf", label: "PDF document", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: "elf", label: "ELF executable", bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: "exe", label: "Windows executable", bytes: [0x4d, 0x5a] },
+  { type: "mp3", label: "MP3 audio", bytes: [0x49, 0x44, 0x33] },
+  { type: "7z", label: "7-Zip archive", bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: "xz", label: "XZ archive", bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { type: "bzip2", label: "bzip2 archive", bytes: [0x42, 0x5a, 0x68] },
+];
+
+const STANDARD_FORMAT_LABELS = { gzip: "gzip archive", zlib: "zlib stream", zip: "ZIP archive" };
+
+// Formats whose content is already entropy-coded
+const COMPRESSED_TYPES = new Set([
+  "dcpk", "gzip", "zlib", "zip", "png", "jpeg", "gif", "webp", "mp3", "7z", "xz", "bzip2",
+]);
+
+// Most bytes printable ASCII or common whitespace
+function isTextFile(buffer) {
+  if (buffer.length === 0) return false;
+
+  let textBytes = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    const byte = buffer[i];
+    if ((byte >= 32 && byte <= 126) || byte === 9 || byte === 10 || byte === 13) {
+      textBytes++;
+    }
+  }
+  return textBytes / buffer.length > 0.7;
+}
+
+function matchesAt(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+// `head` is the start of the file, `sample` the spread-out analysis sample
+function detectFileType(head, sample) {
+  if (sample.length === 0) {
+    return { type: "empty", label: "Empty file", compressed: false };
+  }
+  if (hasContainerHeader(head)) {
+    return { type: "dcpk", label: "Compressed with this tool", compressed: true };
+  }
+  const standard = detectStandardFormat(head);
+  if (standard) {
+    return { type: standard, label: STANDARD_FORMAT_LABELS[standard], compressed: true };
+  }
+  const signature = SIGNATURES.find(
+    ({ bytes, at8 }) => matchesAt(head, bytes) && (!at8 || matchesAt(head, at8, 8))
+  );
+  if (signature) {
+    return { type: signature.type, label: signature.label, compressed: COMPRESSED_TYPES.has(signature.type) };
+  }
+  if (isTextFile(sample)) {
+    const start = head.toString("utf8", 0, 64).trimStart();
+    if (start.startsWith("{") || start.startsWith("[")) return { type: "json", label: "JSON text", compressed: false };
+    if (start.startsWith("<")) return { type: "markup", label: "HTML/XML text", compressed: false };
+    return { type: "text", label: "Plain text", compressed: false };
+  }
+  return { type: "binary", label: "Unknown binary data", compressed: false };
+}
+
+// How much of the sample LZ-style back-references could replace
+function estimateRepeats(sample) {
+  const stats = { matches: 0, matchedBytes: 0, longestMatch: 0, totalDistance: 0 };
+  if (sample.length > 0) {
+    parseTokens(sample, REPEAT_MATCHER, {
+      literal() {},
+      match(distance, length) {
+        stats.matches++;
+        stats.matchedBytes += length;
+        stats.totalDistance += distance;
+        stats.longestMatch = Math.max(stats.longestMatch, length);
+      },
+    });
+  }
+
+  return {
+    matches: stats.matches,
+    matchedBytes: stats.matchedBytes,
+    coverage: sample.length > 0 ? Number((stats.matchedBytes / sample.length).toFixed(4)) : 0,
+    averageMatchLength: stats.matches > 0 ? Number((stats.matchedBytes / stats.matches).toFixed(2)) : 0,
+    averageDistance: stats.matches > 0 ? Math.round(stats.totalDistance / stats.matches) : 0,
+    longestMatch: stats.longestMatch,
+  };
+}
+
+// A quick rule of thumb from the statistics; auto mode measures every codec instead.
+// Predictions stay among the codecs auto mode can pick, so standard formats such as
+// gzip are never suggested.
+function predictCodec({ entropy, runs, repeats, fileType }) {
+  const predict = (algorithm, reason) => ({
+    algorithm,
+    name: getCodec(algorithm).name,
+    reason,
+  });
+
+  if (entropy.order0 > 7.5 && repeats.coverage < 0.1) {
+    return predict(
+      "huffman",
+      fileType.compressed
+        ? `This looks like an already compressed ${fileType.label}, so no algorithm will shrink it much; Huffman adds the least overhead.`
+        : "Bytes are close to uniformly random, so no algorithm will shrink it much; Huffman adds the least overhead."
+    );
+  }
+  if (runs.compressionRatio < 0.5 && runs.compressionRatio <= 1 - repeats.coverage / 2) {
+    return predict(
+      "rle",
+      `Runs of identical bytes make up most of the data (${runs.runs} runs, up to ${runs.longestRun} bytes long), which RLE encodes in 3 bytes each.`
+    );
+  }
+  if (repeats.coverage > 0.3) {
+    return fileType.type === "binary" || fileType.type === "bmp" || fileType.type === "wav"
+      ? predict(
+          "lz77",
+          `${(repeats.coverage * 100).toFixed(0)}% of the bytes repeat earlier data; LZ77's back-references copy them directly, which suits structured binary data.`
+        )
+      : predict(
+          "blocksort",
+          `${(repeats.coverage * 100).toFixed(0)}% of the text repeats earlier data; sorting similar contexts together lets the block-sorting pipeline exploit both repeats and context.`
+        );
+  }
+  if (entropy.order0 - entropy.order1 > 1) {
+    return predict(
+      "range",
+      `The previous byte predicts the next one well (order-1 entropy ${entropy.order1.toFixed(2)} vs order-0 ${entropy.order0.toFixed(2)} bits/byte), which the order-1 range coder exploits.`
+    );
+  }
+  return predict(
+    "huffman",
+    `Few repeats or runs, but an uneven byte distribution (${entropy.order0.toFixed(2)} bits/byte); Huffman codes exploit that directly.`
+  );
+}
+
+async function analyzeFile(filePath, fileSize) {
+  const counter = createEntropyCounter();
+  for await (const chunk of fs.createReadStream(filePath)) {
+    counter.update(chunk);
+  }
+  const { order0, order1 } = counter.result();
+
+  const { sample, sampled } = readSample(filePath, fileSize);
+  const round = (value) => Number(value.toFixed(3));
+  const runs = analyzeRLEEfficiency(sample);
+
+  const analysis = {
+    size: fileSize,
+    sampled,
+    sampleSize: sample.length,
+    fileType: detectFileType(sample.subarray(0, 64), sample),
+    entropy: { order0: round(order0), order1: round(order1) },
+    histogram: counter.histogram(),
+    runs: {
+      ...runs,
+      averageRunLength: round(runs.averageRunLength),
+      compressionRatio: round(runs.compressionRatio),
+    },
+    repeats: estimateRepeats(sample),
+  };
+  // There is nothing to compress in an empty file
+  analysis.prediction = fileSize > 0 ? predictCodec({ ...analysis, entropy: { order0, order1 } }) : null;
+  return analysis;
+}
+
+module.exports = {
+  isTextFile,
+  detectFileType,
+  analyzeFile,
+};
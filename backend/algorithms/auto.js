@@ -0,0 +1,114 @@
+// File: server/algorithms/auto.js
+// Automatic codec selection: try every candidate on (a sample of) the file and keep the smallest
+
+const fs = require("fs");
+const { listCodecs } = require("./registry");
+const { NoCodecError } = require("./errors");
+
+// Files up to this size are compressed in full by every candidate; larger
+// files are judged on evenly spaced slices that add up to the same amount.
+const FULL_TRIAL_LIMIT = 256 * 1024;
+const SAMPLE_SLICES = 4;
+
+function readSample(filePath, fileSize) {
+  if (fileSize <= FULL_TRIAL_LIMIT) {
+    return { sample: fs.readFileSync(filePath), sampled: false };
+  }
+
+  const sliceSize = Math.floor(FULL_TRIAL_LIMIT / SAMPLE_SLICES);
+  const step = Math.floor((fileSize - sliceSize) / (SAMPLE_SLICES - 1));
+  const sample = Buffer.alloc(sliceSize * SAMPLE_SLICES);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    for (let i = 0; i < SAMPLE_SLICES; i++) {
+      fs.readSync(fd, sample, i * sliceSize, sliceSize, i * step);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { sample, sampled: true };
+}
+
+function describeChoice(winner, comparison, sampled) {
+  const scope = sampled
+    ? `a ${Math.round(FULL_TRIAL_LIMIT / 1024)} KB sample taken from ${SAMPLE_SLICES} places in the file`
+    : "the whole file";
+  let reason = `${winner.name} produced the smallest output on ${scope} (${winner.ratio} of the ${sampled ? "sample" : "input"}).`;
+
+  const runnerUp = comparison.find(
+    (entry) => entry !== winner && !entry.baseline && entry.compressedSize !== null
+  );
+  if (runnerUp) {
+    const saved = runnerUp.compressedSize - winner.compressedSize;
+    reason += ` The next best, ${runnerUp.name}, was ${saved} bytes larger (${runnerUp.ratio}).`;
+  }
+
+  const bestBaseline = comparison.find((entry) => entry.baseline && entry.compressedSize !== null);
+  if (bestBaseline) {
+    reason += ` For reference, the best library baseline, ${bestBaseline.name}, reached ${bestBaseline.ratio}.`;
+  }
+  return reason;
+}
+
+function elapsedMs(start) {
+  return Number((Number(process.hrtime.bigint() - start) / 1e6).toFixed(2));
+}
+
+function selectCodec(filePath, fileSize) {
+  const { sample, sampled } = readSample(filePath, fileSize);
+
+  // Every registered codec is measured; library baselines are only there for
+  // reference and never win. Standard formats such as gzip are written without the
+  // container header, which would lose the record that auto mode chose them, so
+  // they stay out of the contest.
+  const candidates = listCodecs().filter((codec) => !codec.capabilities.standardFormat);
+  const comparison = candidates.map((codec) => {
+    const start = process.hrtime.bigint();
+    const baseline = codec.capabilities.baseline;
+    try {
+      const compressedSize = codec.compress(sample).length;
+      return {
+        algorithm: codec.id,
+        name: codec.name,
+        baseline,
+        compressedSize,
+        ratio: sample.length > 0 ? ((compressedSize / sample.length) * 100).toFixed(2) + "%" : "0.00%",
+        timeMs: elapsedMs(start),
+      };
+    } catch (error) {
+      // A codec that cannot handle this input simply drops out of the contest
+      return {
+        algorithm: codec.id,
+        name: codec.name,
+        baseline,
+        compressedSize: null,
+        ratio: null,
+        timeMs: elapsedMs(start),
+        error: error.message,
+      };
+    }
+  });
+
+  // Codecs that failed sort last
+  comparison.sort((a, b) => {
+    if (a.compressedSize === null || b.compressedSize === null) {
+      return (a.compressedSize === null) - (b.compressedSize === null);
+    }
+    return a.compressedSize - b.compressedSize;
+  });
+
+  const winner = comparison.find((entry) => !entry.baseline);
+  if (!winner || winner.compressedSize === null) {
+    throw new NoCodecError("No algorithm could compress this file.");
+  }
+
+  return {
+    algorithm: winner.algorithm,
+    sampled,
+    sampleSize: sample.length,
+    comparison,
+    reason: describeChoice(winner, comparison, sampled),
+  };
+}
+
+module.exports = { readSample, selectCodec };
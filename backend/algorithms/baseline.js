@@ -0,0 +1,100 @@
+// File: server/algorithms/baseline.js
+// Library baselines: Node's built-in zlib gzip, deflate and brotli, registered as
+// codecs so the hand-written algorithms can be measured against them
+
+const zlib = require("zlib");
+const { InvalidFormatError } = require("./errors");
+const { detectStandardFormat, toCodecError } = require("./formats");
+const { createBlockCompressStream, createBlockDecompressStream } = require("./stream");
+const { registerCodec } = require("./registry");
+
+// Output is the library's own stream format inside our container and block frames;
+// format names the magic bytes each frame starts with (brotli has none)
+const BASELINES = [
+  {
+    id: "baseline-gzip",
+    name: "gzip (zlib library)",
+    description: "Node's built-in zlib gzip. A reference point for the LZ77 and Huffman codecs, not the project's own code.",
+    format: "gzip",
+    maxLevel: 9,
+    defaultLevel: 6, // gzip's own default
+    compress: (buffer, level) => zlib.gzipSync(buffer, { level }),
+    decompress: (buffer) => zlib.gunzipSync(buffer),
+  },
+  {
+    id: "baseline-deflate",
+    name: "Deflate (zlib library)",
+    description: "Node's built-in zlib deflate stream. The same algorithm as gzip with a smaller header.",
+    format: "zlib",
+    maxLevel: 9,
+    defaultLevel: 6,
+    compress: (buffer, level) => zlib.deflateSync(buffer, { level }),
+    decompress: (buffer) => zlib.inflateSync(buffer),
+  },
+  {
+    id: "baseline-brotli",
+    name: "Brotli (zlib library)",
+    description:
+      "Node's built-in Brotli: LZ77 with context modelling and a built-in dictionary. Usually the one to beat.",
+    format: null,
+    maxLevel: 11,
+    defaultLevel: 11, // The brotli tool's default quality
+    compress: (buffer, level) =>
+      zlib.brotliCompressSync(buffer, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: level,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+        },
+      }),
+    decompress: (buffer) => zlib.brotliDecompressSync(buffer),
+  },
+];
+
+function createBaselineDecompress(baseline) {
+  return function decompressBaseline(buffer, { strict = true } = {}) {
+    if (baseline.format && detectStandardFormat(buffer) !== baseline.format) {
+      if (!strict) {
+        // Lenient mode: hand back data that is not in this format unchanged
+        return buffer;
+      }
+      throw new InvalidFormatError(`Missing ${baseline.format} header; this is not ${baseline.name} output.`);
+    }
+
+    try {
+      return baseline.decompress(buffer);
+    } catch (error) {
+      throw toCodecError(error, `${baseline.name} stream`);
+    }
+  };
+}
+
+for (const baseline of BASELINES) {
+  const decompress = createBaselineDecompress(baseline);
+  const compress = (buffer, params = {}) => baseline.compress(buffer, params.level ?? baseline.defaultLevel);
+
+  registerCodec({
+    id: baseline.id,
+    name: baseline.name,
+    description: baseline.description,
+    bestFor: "Comparison",
+    typicalRatio: "Reference",
+    capabilities: { streaming: true, baseline: true },
+    params: [
+      {
+        name: "level",
+        label: "Level",
+        type: "integer",
+        min: 0,
+        max: baseline.maxLevel,
+        default: baseline.defaultLevel,
+        description: `Library compression level, 0 (fastest) to ${baseline.maxLevel} (smallest).`,
+      },
+    ],
+    compress,
+    decompress,
+    // Streaming variants: each 1 MB block is a separate library stream
+    createCompressStream: (params) => createBlockCompressStream((block) => compress(block, params)),
+    createDecompressStream: (params, { strict = true } = {}) =>
+      createBlockDecompressStream((block) => decompress(block, { strict }), { strict }),
+  });
+}
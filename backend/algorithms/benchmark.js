@@ -0,0 +1,131 @@
+// File: server/algorithms/benchmark.js
+// Runs every registered codec on one file and reports size, speed, memory and
+// round-trip correctness. Each codec runs in its own process so its timings and
+// peak memory are not disturbed by the server or by the codecs before it.
+
+const fs = require("fs");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const { getCodec, listCodecs, resolveParams } = require("./index");
+const { FileTooLargeError } = require("./errors");
+
+const execFileAsync = promisify(execFile);
+
+// Every codec holds the input, its output and the restored copy in memory at once
+const MAX_BENCHMARK_BYTES = 32 * 1024 * 1024;
+const CODEC_TIMEOUT_MS = 120 * 1000;
+const MB = 1024 * 1024;
+
+function elapsedMs(start) {
+  return Number((Number(process.hrtime.bigint() - start) / 1e6).toFixed(2));
+}
+
+function throughput(bytes, ms) {
+  return ms > 0 ? Number((bytes / MB / (ms / 1000)).toFixed(2)) : null;
+}
+
+// Runs in the child process: one whole-buffer compress and decompress with default parameters
+function measureCodec(codecId, filePath) {
+  const codec = getCodec(codecId);
+  const params = resolveParams(codec, {});
+  const input = fs.readFileSync(filePath);
+  const rssBefore = process.memoryUsage().rss;
+
+  let start = process.hrtime.bigint();
+  const compressed = codec.compress(input, params);
+  const compressMs = elapsedMs(start);
+
+  start = process.hrtime.bigint();
+  const restored = codec.decompress(compressed, { strict: true, params });
+  const decompressMs = elapsedMs(start);
+
+  return {
+    compressedSize: compressed.length,
+    compressMs,
+    decompressMs,
+    // maxRSS is reported in kilobytes
+    peakMemoryBytes: Math.max(0, process.resourceUsage().maxRSS * 1024 - rssBefore),
+    roundTrip: restored.equals(input),
+  };
+}
+
+async function benchmarkCodec(codec, filePath, fileSize) {
+  const entry = {
+    algorithm: codec.id,
+    name: codec.name,
+    baseline: codec.capabilities.baseline,
+    params: resolveParams(codec, {}),
+  };
+  const failed = (error) => ({
+    ...entry,
+    compressedSize: null,
+    ratio: null,
+    compressMs: null,
+    decompressMs: null,
+    compressMBps: null,
+    decompressMBps: null,
+    peakMemoryBytes: null,
+    roundTrip: false,
+    error,
+  });
+
+  let measured;
+  try {
+    const { stdout } = await execFileAsync(
+      process.execPath,
+      [__filename, "--codec", codec.id, filePath],
+      { timeout: CODEC_TIMEOUT_MS }
+    );
+    measured = JSON.parse(stdout);
+  } catch (error) {
+    return failed(error.killed ? `Timed out after ${CODEC_TIMEOUT_MS / 1000} s` : error.message);
+  }
+  if (measured.error) {
+    return failed(measured.error);
+  }
+
+  return {
+    ...entry,
+    compressedSize: measured.compressedSize,
+    ratio: fileSize > 0 ? ((measured.compressedSize / fileSize) * 100).toFixed(2) + "%" : "0.00%",
+    compressMs: measured.compressMs,
+    decompressMs: measured.decompressMs,
+    compressMBps: throughput(fileSize, measured.compressMs),
+    decompressMBps: throughput(fileSize, measured.decompressMs),
+    peakMemoryBytes: measured.peakMemoryBytes,
+    roundTrip: measured.roundTrip,
+    error: null,
+  };
+}
+
+// Codecs run one after another so they do not compete for the CPU.
+// `codecs` limits the run to the given ids; every registered codec runs by default.
+async function runBenchmark(filePath, fileSize, { codecs } = {}) {
+  if (fileSize > MAX_BENCHMARK_BYTES) {
+    throw new FileTooLargeError(
+      `Benchmarks are limited to ${MAX_BENCHMARK_BYTES / MB} MB; this file has ${(fileSize / MB).toFixed(1)} MB.`
+    );
+  }
+
+  const results = [];
+  const selected = codecs ? codecs.map((id) => getCodec(id)) : listCodecs();
+  for (const codec of selected) {
+    results.push(await benchmarkCodec(codec, filePath, fileSize));
+  }
+  return results;
+}
+
+if (require.main === module && process.argv[2] === "--codec") {
+  let result;
+  try {
+    result = measureCodec(process.argv[3], process.argv[4]);
+  } catch (error) {
+    result = { error: error.message };
+  }
+  process.stdout.write(JSON.stringify(result));
+}
+
+module.exports = {
+  MAX_BENCHMARK_BYTES,
+  runBenchmark,
+};
@@ -0,0 +1,203 @@
+// File: server/algorithms/bitio.js
+// Bit-level reader/writer on top of Uint8Array, shared by the entropy coders
+
+const { TruncatedError } = require("./errors");
+
+// Bit order within each byte:
+//   "msb" - first bit written lands in the highest bit (Huffman, LZW)
+//   "lsb" - first bit written lands in the lowest bit (DEFLATE)
+const MSB_FIRST = "msb";
+const LSB_FIRST = "lsb";
+
+// Values are accumulated in a 32-bit integer, so a single call moves at most 24 bits
+const MAX_CHUNK_BITS = 24;
+
+class BitWriter {
+  constructor({ order = MSB_FIRST, initialSize = 1024 } = {}) {
+    if (order !== MSB_FIRST && order !== LSB_FIRST) {
+      throw new Error(`Unknown bit order: ${order}`);
+    }
+    this.order = order;
+    this.bytes = new Uint8Array(Math.max(16, initialSize));
+    this.length = 0; // Whole bytes written
+    this.accumulator = 0; // Pending bits not yet flushed to a byte
+    this.pending = 0; // Number of pending bits (always < 8 between calls)
+  }
+
+  get bitLength() {
+    return this.length * 8 + this.pending;
+  }
+
+  ensureCapacity(extraBytes) {
+    if (this.length + extraBytes <= this.bytes.length) return;
+
+    let size = this.bytes.length * 2;
+    while (size < this.length + extraBytes) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  writeBits(value, count) {
+    if (count === 0) return;
+
+    if (count > MAX_CHUNK_BITS) {
+      // Split wide values; the high part goes first in MSB order, last in LSB order
+      const low = count - MAX_CHUNK_BITS;
+      const lowValue = value % 2 ** low;
+      const highValue = Math.floor(value / 2 ** low);
+      if (this.order === MSB_FIRST) {
+        this.writeBits(highValue, MAX_CHUNK_BITS);
+        this.writeBits(lowValue, low);
+      } else {
+        this.writeBits(lowValue, low);
+        this.writeBits(highValue, MAX_CHUNK_BITS);
+      }
+      return;
+    }
+
+    this.ensureCapacity(4);
+    const masked = value & ((1 << count) - 1);
+
+    if (this.order === MSB_FIRST) {
+      this.accumulator = (this.accumulator << count) | masked;
+      this.pending += count;
+      while (this.pending >= 8) {
+        this.pending -= 8;
+        this.bytes[this.length++] = (this.accumulator >>> this.pending) & 0xff;
+      }
+      this.accumulator &= (1 << this.pending) - 1;
+    } else {
+      this.accumulator |= masked << this.pending;
+      this.pending += count;
+      while (this.pending >= 8) {
+        this.bytes[this.length++] = this.accumulator & 0xff;
+        this.accumulator >>>= 8;
+        this.pending -= 8;
+      }
+    }
+  }
+
+  writeBit(bit) {
+    this.writeBits(bit ? 1 : 0, 1);
+  }
+
+  // Pads with zero bits up to the next byte boundary; returns the padding used
+  alignToByte() {
+    const padding = (8 - this.pending) % 8;
+    this.writeBits(0, padding);
+    return padding;
+  }
+
+  // Appends raw bytes after aligning to a byte boundary
+  writeBytes(source) {
+    this.alignToByte();
+    this.ensureCapacity(source.length);
+    this.bytes.set(source, this.length);
+    this.length += source.length;
+  }
+
+  // Returns the written bytes, including a zero-padded final partial byte
+  toBuffer() {
+    const buffer = Buffer.alloc(this.length + (this.pending > 0 ? 1 : 0));
+    buffer.set(this.bytes.subarray(0, this.length));
+    if (this.pending > 0) {
+      buffer[this.length] =
+        this.order === MSB_FIRST
+          ? (this.accumulator << (8 - this.pending)) & 0xff
+          : this.accumulator & 0xff;
+    }
+    return buffer;
+  }
+}
+
+class BitReader {
+  // bitLength limits reading to the meaningful bits, e.g. excluding final padding
+  constructor(source, { order = MSB_FIRST, bitLength = source.length * 8 } = {}) {
+    if (order !== MSB_FIRST && order !== LSB_FIRST) {
+      throw new Error(`Unknown bit order: ${order}`);
+    }
+    this.order = order;
+    this.bytes = source;
+    this.bitLength = Math.min(bitLength, source.length * 8);
+    this.position = 0;
+  }
+
+  get remainingBits() {
+    return this.bitLength - this.position;
+  }
+
+  get isAligned() {
+    return (this.position & 7) === 0;
+  }
+
+  // Reads up to 24 bits without consuming them; bits past the end read as zero
+  peekBits(count) {
+    const byteIndex = this.position >>> 3;
+    const bitOffset = this.position & 7;
+    const bytes = this.bytes;
+    const b0 = bytes[byteIndex] || 0;
+    const b1 = bytes[byteIndex + 1] || 0;
+    const b2 = bytes[byteIndex + 2] || 0;
+    const b3 = bytes[byteIndex + 3] || 0;
+
+    if (this.order === MSB_FIRST) {
+      const word = (b0 << 24) | (b1 << 16) | (b2 << 8) | b3;
+      return (word << bitOffset) >>> (32 - count);
+    }
+
+    const word = (b0 | (b1 << 8) | (b2 << 16) | (b3 << 24)) >>> 0;
+    return (word >>> bitOffset) & ((1 << count) - 1);
+  }
+
+  skipBits(count) {
+    if (count > this.remainingBits) {
+      throw new TruncatedError(`Bit stream ended: needed ${count} bits, ${this.remainingBits} left.`);
+    }
+    this.position += count;
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+
+    if (count > MAX_CHUNK_BITS) {
+      const low = count - MAX_CHUNK_BITS;
+      if (this.order === MSB_FIRST) {
+        const high = this.readBits(MAX_CHUNK_BITS);
+        return high * 2 ** low + this.readBits(low);
+      }
+      const lowValue = this.readBits(low);
+      return this.readBits(MAX_CHUNK_BITS) * 2 ** low + lowValue;
+    }
+
+    const value = this.peekBits(count);
+    this.skipBits(count);
+    return value;
+  }
+
+  readBit() {
+    return this.readBits(1);
+  }
+
+  alignToByte() {
+    this.position = Math.min(this.bitLength, Math.ceil(this.position / 8) * 8);
+  }
+
+  // Reads raw bytes starting at the next byte boundary
+  readBytes(count) {
+    this.alignToByte();
+    const start = this.position >>> 3;
+    if (count * 8 > this.remainingBits) {
+      throw new TruncatedError(`Bit stream ended: needed ${count} bytes, ${this.remainingBits >>> 3} left.`);
+    }
+    this.position += count * 8;
+    return this.bytes.subarray(start, start + count);
+  }
+}
+
+module.exports = {
+  MSB_FIRST,
+  LSB_FIRST,
+  BitWriter,
+  BitReader,
+};
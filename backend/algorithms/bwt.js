@@ -0,0 +1,167 @@
+// File: server/algorithms/bwt.js
+// Burrows-Wheeler transform built from a suffix array, and its inverse
+
+const { CorruptStreamError } = require("./errors");
+
+// Suffix array of input followed by a virtual end marker that sorts before every byte.
+// Prefix doubling over cyclic shifts: after round k every suffix is ranked by its
+// first 2^k bytes, with each round a counting sort keyed on the previous ranks.
+// The unique end marker makes cyclic shifts and suffixes sort identically.
+function buildSuffixArray(input) {
+  const n = input.length + 1;
+  let order = new Int32Array(n);
+  let classes = new Int32Array(n);
+  let nextOrder = new Int32Array(n);
+  let nextClasses = new Int32Array(n);
+  const counts = new Int32Array(Math.max(257, n));
+
+  // Round 0: sort by single symbol, the end marker being symbol 0
+  for (let i = 0; i < n - 1; i++) counts[input[i] + 1]++;
+  counts[0] = 1;
+  for (let i = 1; i < 257; i++) counts[i] += counts[i - 1];
+  for (let i = n - 1; i >= 0; i--) {
+    const symbol = i === n - 1 ? 0 : input[i] + 1;
+    order[--counts[symbol]] = i;
+  }
+
+  let classCount = 1;
+  classes[order[0]] = 0;
+  for (let i = 1; i < n; i++) {
+    const current = order[i] === n - 1 ? 0 : input[order[i]] + 1;
+    const previous = order[i - 1] === n - 1 ? 0 : input[order[i - 1]] + 1;
+    if (current !== previous) classCount++;
+    classes[order[i]] = classCount - 1;
+  }
+
+  for (let length = 1; length < n && classCount < n; length <<= 1) {
+    // Shifting the current order back by `length` sorts by the second half;
+    // a stable counting sort on the first half then sorts by both
+    for (let i = 0; i < n; i++) {
+      nextOrder[i] = order[i] - length < 0 ? order[i] - length + n : order[i] - length;
+    }
+    counts.fill(0, 0, classCount);
+    for (let i = 0; i < n; i++) counts[classes[nextOrder[i]]]++;
+    for (let i = 1; i < classCount; i++) counts[i] += counts[i - 1];
+    for (let i = n - 1; i >= 0; i--) {
+      order[--counts[classes[nextOrder[i]]]] = nextOrder[i];
+    }
+
+    nextClasses[order[0]] = 0;
+    classCount = 1;
+    for (let i = 1; i < n; i++) {
+      const current = order[i];
+      const previous = order[i - 1];
+      const currentSecond = current + length >= n ? current + length - n : current + length;
+      const previousSecond = previous + length >= n ? previous + length - n : previous + length;
+      if (classes[current] !== classes[previous] || classes[currentSecond] !== classes[previousSecond]) {
+        classCount++;
+      }
+      nextClasses[current] = classCount - 1;
+    }
+
+    [classes, nextClasses] = [nextClasses, classes];
+  }
+
+  return order;
+}
+
+// Returns the last column of the sorted rotations with the end marker removed,
+// plus the row the marker occupied (the primary index, always >= 1 for non-empty input)
+function bwtForward(input) {
+  const suffixArray = buildSuffixArray(input);
+  const output = Buffer.alloc(input.length);
+  let primaryIndex = 0;
+  let out = 0;
+
+  for (let row = 0; row < suffixArray.length; row++) {
+    const start = suffixArray[row];
+    if (start === 0) {
+      primaryIndex = row; // This row's preceding symbol is the end marker
+    } else {
+      output[out++] = input[start - 1];
+    }
+  }
+
+  return { data: output, primaryIndex };
+}
+
+// Rebuilds the input by walking the last-to-first mapping backwards from the
+// row that starts with the end marker
+function bwtInverse(lastColumn, primaryIndex) {
+  const n = lastColumn.length;
+  if (n === 0) {
+    return Buffer.alloc(0);
+  }
+  if (primaryIndex < 1 || primaryIndex > n) {
+    throw new CorruptStreamError(`Invalid BWT primary index ${primaryIndex} for a block of ${n} bytes.`);
+  }
+
+  // First-column offsets; the end marker occupies row 0
+  const starts = new Int32Array(256);
+  for (let i = 0; i < n; i++) starts[lastColumn[i]]++;
+  let sum = 1;
+  for (let symbol = 0; symbol < 256; symbol++) {
+    const count = starts[symbol];
+    starts[symbol] = sum;
+    sum += count;
+  }
+
+  const symbols = new Uint8Array(n + 1);
+  const lastToFirst = new Int32Array(n + 1);
+  for (let row = 0, i = 0; row <= n; row++) {
+    if (row === primaryIndex) {
+      lastToFirst[row] = 0;
+      continue;
+    }
+    const symbol = lastColumn[i++];
+    symbols[row] = symbol;
+    lastToFirst[row] = starts[symbol]++;
+  }
+
+  const output = Buffer.alloc(n);
+  let row = 0;
+  for (let i = n - 1; i >= 0; i--) {
+    if (row === primaryIndex) {
+      throw new CorruptStreamError("BWT block does not invert to a single cycle.");
+    }
+    output[i] = symbols[row];
+    row = lastToFirst[row];
+  }
+
+  return output;
+}
+
+// Transforms each blockSize slice independently; output has the same length as the input
+function bwtForwardBlocks(input, blockSize) {
+  const output = Buffer.alloc(input.length);
+  const primaryIndices = [];
+  for (let start = 0; start < input.length; start += blockSize) {
+    const { data, primaryIndex } = bwtForward(input.subarray(start, start + blockSize));
+    data.copy(output, start);
+    primaryIndices.push(primaryIndex);
+  }
+  return { data: output, primaryIndices };
+}
+
+function bwtInverseBlocks(data, blockSize, primaryIndices) {
+  if (primaryIndices.length !== Math.ceil(data.length / blockSize)) {
+    throw new CorruptStreamError(
+      `Expected ${Math.ceil(data.length / blockSize)} BWT primary indices, found ${primaryIndices.length}.`
+    );
+  }
+
+  const output = Buffer.alloc(data.length);
+  primaryIndices.forEach((primaryIndex, block) => {
+    const start = block * blockSize;
+    bwtInverse(data.subarray(start, start + blockSize), primaryIndex).copy(output, start);
+  });
+  return output;
+}
+
+module.exports = {
+  buildSuffixArray,
+  bwtForward,
+  bwtInverse,
+  bwtForwardBlocks,
+  bwtInverseBlocks,
+};
@@ -0,0 +1,252 @@
+// File: server/algorithms/container.js
+// Versioned, self-describing container that wraps every codec's output
+
+const fs = require("fs");
+const { InvalidFormatError, TruncatedError, atOffset } = require("./errors");
+
+const MAGIC = Buffer.from("DCPK", "ascii");
+// Version 2 introduced block-framed payloads (FLAG_BLOCKED),
+// version 3 the codec parameter section, version 4 the checksum of the original
+const CURRENT_VERSION = 4;
+const SUPPORTED_VERSIONS = [1, 2, 3, 4];
+
+// Algorithm ids are part of the file format - never renumber existing entries
+const ALGORITHM_IDS = {
+  huffman: 1,
+  rle: 2,
+  lz77: 3,
+  lzw: 4,
+  range: 5,
+  blocksort: 6,
+  pipeline: 7, // Chain of stages, recorded in the parameter section
+  "baseline-gzip": 8,
+  "baseline-deflate": 9,
+  "baseline-brotli": 10,
+};
+
+const FLAG_TEXT = 0x01; // Original upload looked like text
+const FLAG_BLOCKED = 0x02; // Payload is a sequence of independently compressed block frames
+const FLAG_AUTO = 0x04; // Algorithm was picked automatically rather than by the user
+
+// Fixed part of the header (all versions):
+// [magic x4][version][algorithm_id][flags][original_size x8][filename_length x2]
+// followed by the UTF-8 encoded original filename. Version 3 appends
+// [params_length x2][params as UTF-8 JSON] with the codec parameters used, and
+// version 4 then [crc32 x4] of the original data so decompression can verify it.
+const FIXED_HEADER_SIZE = 17;
+const CHECKSUM_SIZE = 4;
+const MAX_FILENAME_BYTES = 0xffff;
+const MAX_PARAMS_BYTES = 0xffff;
+
+function getAlgorithmName(id) {
+  return Object.keys(ALGORITHM_IDS).find((name) => ALGORITHM_IDS[name] === id);
+}
+
+function hasContainerHeader(buffer) {
+  return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function createHeader({
+  algorithm,
+  originalFilename = "",
+  originalSize,
+  isText = false,
+  blocked = false,
+  autoSelected = false,
+  params = {},
+  checksum,
+}) {
+  const algorithmId = ALGORITHM_IDS[algorithm];
+  if (!algorithmId) {
+    throw new Error(`Unknown algorithm for container header: ${algorithm}`);
+  }
+
+  let nameBytes = Buffer.from(originalFilename, "utf-8");
+  if (nameBytes.length > MAX_FILENAME_BYTES) {
+    nameBytes = nameBytes.subarray(0, MAX_FILENAME_BYTES);
+  }
+
+  const paramBytes = Buffer.from(JSON.stringify(params), "utf-8");
+  if (paramBytes.length > MAX_PARAMS_BYTES) {
+    throw new Error("Codec parameters are too large for the container header");
+  }
+  if (!Number.isInteger(checksum)) {
+    throw new Error("Container header needs the CRC-32 of the original data");
+  }
+
+  let flags = 0;
+  if (isText) flags |= FLAG_TEXT;
+  if (blocked) flags |= FLAG_BLOCKED;
+  if (autoSelected) flags |= FLAG_AUTO;
+
+  const nameEnd = FIXED_HEADER_SIZE + nameBytes.length;
+  const paramsEnd = nameEnd + 2 + paramBytes.length;
+  const header = Buffer.alloc(paramsEnd + CHECKSUM_SIZE);
+  MAGIC.copy(header, 0);
+  header[4] = CURRENT_VERSION;
+  header[5] = algorithmId;
+  header[6] = flags;
+  header.writeBigUInt64BE(BigInt(originalSize), 7);
+  header.writeUInt16BE(nameBytes.length, 15);
+  nameBytes.copy(header, FIXED_HEADER_SIZE);
+  header.writeUInt16BE(paramBytes.length, nameEnd);
+  paramBytes.copy(header, nameEnd + 2);
+  header.writeUInt32BE(checksum, paramsEnd);
+
+  return header;
+}
+
+// Number of bytes needed to parse the header, as far as the bytes seen so far tell
+function requiredHeaderLength(buffer) {
+  if (buffer.length < FIXED_HEADER_SIZE) return FIXED_HEADER_SIZE;
+
+  const nameEnd = FIXED_HEADER_SIZE + buffer.readUInt16BE(15);
+  if (buffer[4] < 3) return nameEnd;
+  if (buffer.length < nameEnd + 2) return nameEnd + 2;
+  const paramsEnd = nameEnd + 2 + buffer.readUInt16BE(nameEnd);
+  return buffer[4] < 4 ? paramsEnd : paramsEnd + CHECKSUM_SIZE;
+}
+
+function parseHeader(buffer) {
+  if (!hasContainerHeader(buffer)) {
+    throw new InvalidFormatError("Missing container header: file was not produced by this portal.");
+  }
+
+  if (buffer.length < FIXED_HEADER_SIZE) {
+    throw new TruncatedError("Container header is truncated.");
+  }
+
+  const version = buffer[4];
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw atOffset(
+      new InvalidFormatError(
+        `Unsupported container version ${version}. This portal reads versions ${SUPPORTED_VERSIONS.join(", ")}.`
+      ),
+      4
+    );
+  }
+
+  const algorithmId = buffer[5];
+  const algorithm = getAlgorithmName(algorithmId);
+  if (!algorithm) {
+    throw atOffset(new InvalidFormatError(`Unknown algorithm id ${algorithmId} in container header.`), 5);
+  }
+
+  const flags = buffer[6];
+  const originalSize = Number(buffer.readBigUInt64BE(7));
+  const nameEnd = FIXED_HEADER_SIZE + buffer.readUInt16BE(15);
+  const headerLength = requiredHeaderLength(buffer);
+
+  if (buffer.length < headerLength) {
+    throw new TruncatedError("Container header is truncated.");
+  }
+
+  const originalFilename = buffer.toString("utf-8", FIXED_HEADER_SIZE, nameEnd);
+  const paramsEnd = version >= 4 ? headerLength - CHECKSUM_SIZE : headerLength;
+
+  // Files from before version 3 were always compressed with the codec defaults
+  let params = {};
+  if (version >= 3) {
+    try {
+      params = JSON.parse(buffer.toString("utf-8", nameEnd + 2, paramsEnd));
+    } catch (error) {
+      throw atOffset(new InvalidFormatError("Container parameter section is not valid JSON."), nameEnd + 2);
+    }
+    if (params === null || typeof params !== "object" || Array.isArray(params)) {
+      throw atOffset(new InvalidFormatError("Container parameter section must be a JSON object."), nameEnd + 2);
+    }
+  }
+
+  return {
+    version,
+    algorithm,
+    flags,
+    isText: (flags & FLAG_TEXT) !== 0,
+    blocked: (flags & FLAG_BLOCKED) !== 0,
+    autoSelected: (flags & FLAG_AUTO) !== 0,
+    originalSize,
+    originalFilename,
+    params,
+    // Files from before version 4 cannot be checked beyond their size
+    checksum: version >= 4 ? buffer.readUInt32BE(paramsEnd) : null,
+    originalExtension: originalFilename.includes(".")
+      ? originalFilename.slice(originalFilename.lastIndexOf("."))
+      : "",
+    headerLength,
+  };
+}
+
+// Reads just the header from disk so large payloads can be streamed afterwards.
+// Returns null when the file does not start with a container header.
+function readHeaderFromFile(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const readPrefix = (length) => {
+      const bytes = Buffer.alloc(length);
+      return bytes.subarray(0, fs.readSync(fd, bytes, 0, length, 0));
+    };
+
+    let header = readPrefix(FIXED_HEADER_SIZE);
+    if (!hasContainerHeader(header)) {
+      return null;
+    }
+
+    // Each read reveals the next length field, until the whole header is in memory
+    let needed = requiredHeaderLength(header);
+    while (needed > header.length) {
+      header = readPrefix(needed);
+      if (header.length < needed) break;
+      needed = requiredHeaderLength(header);
+    }
+    return parseHeader(header);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function describeFlags(flags) {
+  const names = [
+    [FLAG_TEXT, "text upload"],
+    [FLAG_BLOCKED, "block-framed payload"],
+    [FLAG_AUTO, "algorithm picked automatically"],
+  ]
+    .filter(([flag]) => flags & flag)
+    .map(([, name]) => name);
+  return names.length > 0 ? names.join(", ") : "None set";
+}
+
+// Labels every header field for the hex inspector and returns the parsed header
+function inspectHeader(buffer, scope) {
+  scope.add("container", 0, 4, "Container magic", '"DCPK": written by this portal');
+  if (buffer.length >= FIXED_HEADER_SIZE) {
+    const algorithm = getAlgorithmName(buffer[5]);
+    const nameEnd = FIXED_HEADER_SIZE + buffer.readUInt16BE(15);
+    scope.add("container", 4, 5, "Container version", `Version ${buffer[4]}`);
+    scope.add("container", 5, 6, "Algorithm", algorithm ? `${algorithm} (id ${buffer[5]})` : `Unknown id ${buffer[5]}`);
+    scope.add("container", 6, 7, "Flags", describeFlags(buffer[6]));
+    scope.add("container", 7, 15, "Original size", `${buffer.readBigUInt64BE(7)} bytes`);
+    scope.add("container", 15, 17, "Filename length", `${nameEnd - FIXED_HEADER_SIZE} bytes`);
+    scope.add("container", FIXED_HEADER_SIZE, nameEnd, "Original filename", buffer.toString("utf-8", FIXED_HEADER_SIZE, nameEnd));
+
+    if (buffer[4] >= 3 && buffer.length >= nameEnd + 2) {
+      const paramsEnd = nameEnd + 2 + buffer.readUInt16BE(nameEnd);
+      scope.add("container", nameEnd, nameEnd + 2, "Parameters length", `${paramsEnd - nameEnd - 2} bytes`);
+      scope.add("container", nameEnd + 2, paramsEnd, "Codec parameters", buffer.toString("utf-8", nameEnd + 2, paramsEnd));
+      if (buffer[4] >= 4 && buffer.length >= paramsEnd + CHECKSUM_SIZE) {
+        const checksum = buffer.readUInt32BE(paramsEnd).toString(16).padStart(8, "0");
+        scope.add("container", paramsEnd, paramsEnd + CHECKSUM_SIZE, "Original checksum", `CRC-32 ${checksum}`);
+      }
+    }
+  }
+  return scope.check(0, () => parseHeader(buffer));
+}
+
+module.exports = {
+  CURRENT_VERSION,
+  ALGORITHM_IDS,
+  hasContainerHeader,
+  createHeader,
+  parseHeader,
+  readHeaderFromFile,
+  inspectHeader,
+};
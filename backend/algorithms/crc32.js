@@ -0,0 +1,33 @@
+// File: server/algorithms/crc32.js
+// CRC-32 as used by gzip and zip (reflected polynomial 0xEDB88320)
+
+const fs = require("fs");
+
+const TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  TABLE[n] = c >>> 0;
+}
+
+// Pass the previous result as `crc` to continue a checksum across chunks
+function crc32(buffer, crc = 0) {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    c = TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+// Streams the file so large uploads are never held in memory
+async function crc32File(filePath) {
+  let crc = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    crc = crc32(chunk, crc);
+  }
+  return crc;
+}
+
+module.exports = { crc32, crc32File };
@@ -0,0 +1,376 @@
+// File: server/algorithms/deflate.js
+// DEFLATE (RFC 1951) encoder built on the LZ77 match finder and canonical Huffman code lengths
+
+const { BitWriter, LSB_FIRST } = require("./bitio");
+const { parseTokens } = require("./lz77");
+const { buildCodeLengths, assignCanonicalCodes } = require("./huffman");
+
+const WINDOW_SIZE = 32768;
+const MAX_MATCH = 258;
+const MAX_STORED_LENGTH = 0xffff;
+const DEFAULT_MAX_CHAIN_DEPTH = 64;
+// Tokens collected before a block is closed and given its own code tables
+const BLOCK_TOKENS = 16384;
+
+// Block types as written in the 2-bit BTYPE field
+const BTYPE_STORED = 0;
+const BTYPE_FIXED = 1;
+const BTYPE_DYNAMIC = 2;
+const BLOCK_TYPES = ["auto", "stored", "fixed", "dynamic"];
+
+const END_OF_BLOCK = 256;
+const FIRST_LENGTH_SYMBOL = 257;
+const LITERAL_LENGTH_SYMBOLS = 286;
+const DISTANCE_SYMBOLS = 30;
+const CODE_LENGTH_SYMBOLS = 19;
+const MAX_CODE_BITS = 15;
+const MAX_CODE_LENGTH_BITS = 7;
+
+// Order in which the code length alphabet's own lengths are sent
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+// Code index for every match length and distance
+function buildCodeLookup(bases, limit) {
+  const lookup = new Uint8Array(limit + 1);
+  bases.forEach((base, code) => {
+    const end = code + 1 < bases.length ? bases[code + 1] : limit + 1;
+    lookup.fill(code, base, end);
+  });
+  return lookup;
+}
+
+const LENGTH_CODE = buildCodeLookup(LENGTH_BASE, MAX_MATCH);
+const DISTANCE_CODE = buildCodeLookup(DISTANCE_BASE, WINDOW_SIZE);
+
+// DEFLATE sends Huffman codes starting from their most significant bit into
+// an LSB-first stream, so every code is stored bit-reversed
+function reverseBits(code, length) {
+  let reversed = 0;
+  for (let i = 0; i < length; i++) {
+    reversed = (reversed << 1) | (code & 1);
+    code >>>= 1;
+  }
+  return reversed;
+}
+
+function buildEncoder(lengths) {
+  const canonical = assignCanonicalCodes(lengths);
+  const codes = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    codes[symbol] = reverseBits(canonical[symbol], lengths[symbol]);
+  }
+  return { lengths, codes };
+}
+
+// Fixed codes from RFC 1951 section 3.2.6; both are canonical, so the shared
+// code assignment reproduces them
+const FIXED_LITERAL_LENGTHS = new Uint8Array(288);
+FIXED_LITERAL_LENGTHS.fill(8, 0, 144);
+FIXED_LITERAL_LENGTHS.fill(9, 144, 256);
+FIXED_LITERAL_LENGTHS.fill(7, 256, 280);
+FIXED_LITERAL_LENGTHS.fill(8, 280, 288);
+const FIXED_LITERAL = buildEncoder(FIXED_LITERAL_LENGTHS);
+const FIXED_DISTANCE = buildEncoder(new Uint8Array(DISTANCE_SYMBOLS).fill(5));
+
+// Tokens of one block: length 0 marks a literal whose byte is in values,
+// otherwise values holds the match distance
+function createBlock() {
+  return {
+    lengths: new Uint16Array(BLOCK_TOKENS),
+    values: new Uint16Array(BLOCK_TOKENS),
+    count: 0,
+    start: 0, // Input range covered, needed if the block ends up stored
+    end: 0,
+  };
+}
+
+function countSymbols(block) {
+  const literalFreq = new Uint32Array(LITERAL_LENGTH_SYMBOLS);
+  const distanceFreq = new Uint32Array(DISTANCE_SYMBOLS);
+  for (let i = 0; i < block.count; i++) {
+    const length = block.lengths[i];
+    if (length === 0) {
+      literalFreq[block.values[i]]++;
+    } else {
+      literalFreq[FIRST_LENGTH_SYMBOL + LENGTH_CODE[length]]++;
+      distanceFreq[DISTANCE_CODE[block.values[i]]]++;
+    }
+  }
+  literalFreq[END_OF_BLOCK] = 1;
+  return { literalFreq, distanceFreq };
+}
+
+// Bits the block's tokens take with the given codes, extra bits included
+function tokenBits({ literalFreq, distanceFreq }, literal, distance) {
+  let bits = 0;
+  for (let symbol = 0; symbol < LITERAL_LENGTH_SYMBOLS; symbol++) {
+    if (literalFreq[symbol] === 0) continue;
+    const extra = symbol >= FIRST_LENGTH_SYMBOL ? LENGTH_EXTRA[symbol - FIRST_LENGTH_SYMBOL] : 0;
+    bits += literalFreq[symbol] * (literal.lengths[symbol] + extra);
+  }
+  for (let code = 0; code < DISTANCE_SYMBOLS; code++) {
+    bits += distanceFreq[code] * (distance.lengths[code] + DISTANCE_EXTRA[code]);
+  }
+  return bits;
+}
+
+// Stored blocks: 3 header bits, worst-case alignment and LEN/NLEN per 64 KB chunk
+function storedBits(length) {
+  const chunks = Math.max(1, Math.ceil(length / MAX_STORED_LENGTH));
+  return chunks * (3 + 7 + 32) + length * 8;
+}
+
+// Inflaters reject a code that has only one symbol in some alphabets, so
+// always give the tree at least two leaves
+function toFrequencyMap(frequencies) {
+  const map = new Map();
+  frequencies.forEach((freq, symbol) => {
+    if (freq > 0) map.set(symbol, freq);
+  });
+  for (let symbol = 0; map.size < 2; symbol++) {
+    if (!map.has(symbol)) map.set(symbol, 1);
+  }
+  return map;
+}
+
+function usedCount(lengths, minimum) {
+  let count = lengths.length;
+  while (count > minimum && lengths[count - 1] === 0) count--;
+  return count;
+}
+
+// Code length sequence as [symbol, extra bit count, extra value] entries, using
+// 16 (repeat previous 3-6 times), 17 (3-10 zeros) and 18 (11-138 zeros)
+function encodeCodeLengths(lengths) {
+  const symbols = [];
+  for (let i = 0; i < lengths.length; ) {
+    const length = lengths[i];
+    let run = 1;
+    while (i + run < lengths.length && lengths[i + run] === length) run++;
+    i += run;
+
+    if (length === 0) {
+      while (run >= 11) {
+        const count = Math.min(run, 138);
+        symbols.push([18, 7, count - 11]);
+        run -= count;
+      }
+      if (run >= 3) {
+        symbols.push([17, 3, run - 3]);
+        run = 0;
+      }
+    } else {
+      symbols.push([length, 0, 0]);
+      run--;
+      while (run >= 3) {
+        const count = Math.min(run, 6);
+        symbols.push([16, 2, count - 3]);
+        run -= count;
+      }
+    }
+
+    for (; run > 0; run--) symbols.push([length, 0, 0]);
+  }
+  return symbols;
+}
+
+// Per-block Huffman tables and the header that describes them
+function planDynamicBlock({ literalFreq, distanceFreq }) {
+  const literalLengths = buildCodeLengths(toFrequencyMap(literalFreq), MAX_CODE_BITS, LITERAL_LENGTH_SYMBOLS);
+  const distanceLengths = buildCodeLengths(toFrequencyMap(distanceFreq), MAX_CODE_BITS, DISTANCE_SYMBOLS);
+  const literalCount = usedCount(literalLengths, FIRST_LENGTH_SYMBOL);
+  const distanceCount = usedCount(distanceLengths, 1);
+
+  // Both length lists are run-length coded as one sequence
+  const allLengths = new Uint8Array(literalCount + distanceCount);
+  allLengths.set(literalLengths.subarray(0, literalCount));
+  allLengths.set(distanceLengths.subarray(0, distanceCount), literalCount);
+  const symbols = encodeCodeLengths(allLengths);
+
+  const codeLengthFreq = new Uint32Array(CODE_LENGTH_SYMBOLS);
+  for (const [symbol] of symbols) codeLengthFreq[symbol]++;
+  const codeLengthLengths = buildCodeLengths(
+    toFrequencyMap(codeLengthFreq),
+    MAX_CODE_LENGTH_BITS,
+    CODE_LENGTH_SYMBOLS
+  );
+  let codeLengthCount = CODE_LENGTH_SYMBOLS;
+  while (codeLengthCount > 4 && codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) {
+    codeLengthCount--;
+  }
+
+  let headerBits = 5 + 5 + 4 + codeLengthCount * 3;
+  for (const [symbol, extraBits] of symbols) {
+    headerBits += codeLengthLengths[symbol] + extraBits;
+  }
+
+  return {
+    literal: buildEncoder(literalLengths),
+    distance: buildEncoder(distanceLengths),
+    codeLength: buildEncoder(codeLengthLengths),
+    literalCount,
+    distanceCount,
+    codeLengthCount,
+    symbols,
+    headerBits,
+  };
+}
+
+function writeDynamicHeader(writer, plan) {
+  writer.writeBits(plan.literalCount - FIRST_LENGTH_SYMBOL, 5);
+  writer.writeBits(plan.distanceCount - 1, 5);
+  writer.writeBits(plan.codeLengthCount - 4, 4);
+  for (let i = 0; i < plan.codeLengthCount; i++) {
+    writer.writeBits(plan.codeLength.lengths[CODE_LENGTH_ORDER[i]], 3);
+  }
+  for (const [symbol, extraBits, extraValue] of plan.symbols) {
+    writer.writeBits(plan.codeLength.codes[symbol], plan.codeLength.lengths[symbol]);
+    writer.writeBits(extraValue, extraBits);
+  }
+}
+
+function writeTokens(writer, block, literal, distance) {
+  for (let i = 0; i < block.count; i++) {
+    const length = block.lengths[i];
+    const value = block.values[i];
+    if (length === 0) {
+      writer.writeBits(literal.codes[value], literal.lengths[value]);
+      continue;
+    }
+
+    const lengthCode = LENGTH_CODE[length];
+    const symbol = FIRST_LENGTH_SYMBOL + lengthCode;
+    writer.writeBits(literal.codes[symbol], literal.lengths[symbol]);
+    writer.writeBits(length - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+
+    const distanceCode = DISTANCE_CODE[value];
+    writer.writeBits(distance.codes[distanceCode], distance.lengths[distanceCode]);
+    writer.writeBits(value - DISTANCE_BASE[distanceCode], DISTANCE_EXTRA[distanceCode]);
+  }
+  writer.writeBits(literal.codes[END_OF_BLOCK], literal.lengths[END_OF_BLOCK]);
+}
+
+// Stored data longer than LEN can express is split over several stored blocks
+function writeStored(writer, data, final) {
+  let offset = 0;
+  do {
+    const length = Math.min(MAX_STORED_LENGTH, data.length - offset);
+    const last = final && offset + length === data.length;
+    writer.writeBits(last ? 1 : 0, 1);
+    writer.writeBits(BTYPE_STORED, 2);
+    writer.alignToByte();
+    writer.writeBits(length, 16);
+    writer.writeBits(~length & 0xffff, 16);
+    writer.writeBytes(data.subarray(offset, offset + length));
+    offset += length;
+  } while (offset < data.length);
+}
+
+// Writes one block as the requested type, or whichever type is smallest for "auto"
+function writeBlock(writer, input, block, final, blockType) {
+  const frequencies = countSymbols(block);
+  const fixedBits = tokenBits(frequencies, FIXED_LITERAL, FIXED_DISTANCE);
+
+  let plan = null;
+  let dynamicBits = Infinity;
+  if (blockType === "dynamic" || blockType === "auto") {
+    plan = planDynamicBlock(frequencies);
+    dynamicBits = plan.headerBits + tokenBits(frequencies, plan.literal, plan.distance);
+  }
+
+  let type = blockType;
+  if (type === "auto") {
+    const raw = storedBits(block.end - block.start);
+    type = raw < Math.min(fixedBits, dynamicBits) ? "stored" : dynamicBits < fixedBits ? "dynamic" : "fixed";
+  }
+
+  if (type === "stored") {
+    writeStored(writer, input.subarray(block.start, block.end), final);
+  } else if (type === "dynamic") {
+    writer.writeBits(final ? 1 : 0, 1);
+    writer.writeBits(BTYPE_DYNAMIC, 2);
+    writeDynamicHeader(writer, plan);
+    writeTokens(writer, block, plan.literal, plan.distance);
+  } else {
+    writer.writeBits(final ? 1 : 0, 1);
+    writer.writeBits(BTYPE_FIXED, 2);
+    writeTokens(writer, block, FIXED_LITERAL, FIXED_DISTANCE);
+  }
+  return type;
+}
+
+// Returns the raw DEFLATE stream and how many blocks of each type it holds
+function deflateRaw(inputBuffer, options = {}) {
+  const input = Buffer.isBuffer(inputBuffer) ? inputBuffer : Buffer.from(inputBuffer);
+  const blockType = options.blockType || "auto";
+  if (!BLOCK_TYPES.includes(blockType)) {
+    throw new Error(`Unknown DEFLATE block type: ${blockType}`);
+  }
+
+  const writer = new BitWriter({ order: LSB_FIRST, initialSize: (input.length >>> 1) + 1024 });
+  const blockCounts = { stored: 0, fixed: 0, dynamic: 0 };
+
+  if (blockType === "stored") {
+    writeStored(writer, input, true);
+    blockCounts.stored = Math.max(1, Math.ceil(input.length / MAX_STORED_LENGTH));
+    return { data: writer.toBuffer(), blockCounts };
+  }
+
+  // Matches may reach back into earlier blocks; only the code tables restart
+  const block = createBlock();
+  let position = 0;
+
+  function closeBlock(final) {
+    block.end = position;
+    blockCounts[writeBlock(writer, input, block, final, blockType)]++;
+    block.count = 0;
+    block.start = position;
+  }
+
+  function push(length, value) {
+    if (block.count === BLOCK_TOKENS) closeBlock(false);
+    block.lengths[block.count] = length;
+    block.values[block.count++] = value;
+    position += length || 1;
+  }
+
+  parseTokens(
+    input,
+    {
+      windowSize: WINDOW_SIZE,
+      maxLength: MAX_MATCH,
+      maxChainDepth: options.maxChainDepth || DEFAULT_MAX_CHAIN_DEPTH,
+      lazy: options.lazy !== false,
+    },
+    {
+      literal: (byte) => push(0, byte),
+      match: (distance, length) => push(length, distance),
+    }
+  );
+  closeBlock(true);
+
+  return { data: writer.toBuffer(), blockCounts };
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  DEFAULT_MAX_CHAIN_DEPTH,
+  deflateRaw,
+};
@@ -0,0 +1,97 @@
+// File: server/algorithms/entropy.js
+// Shannon entropy estimates, used to show how close each codec gets to the theoretical limit
+
+const fs = require("fs");
+
+// Counts bytes (order-0) and byte pairs (order-1) incrementally so files can be measured in chunks.
+// The first byte is counted in context 0, matching the range coder's order-1 model.
+function createEntropyCounter() {
+  const counts = new Float64Array(256);
+  const pairCounts = new Float64Array(256 * 256);
+  let previous = 0;
+  let total = 0;
+
+  return {
+    update(chunk) {
+      for (let i = 0; i < chunk.length; i++) {
+        const byte = chunk[i];
+        counts[byte]++;
+        pairCounts[(previous << 8) | byte]++;
+        previous = byte;
+      }
+      total += chunk.length;
+    },
+
+    // Order-0 counts for all 256 byte values
+    histogram() {
+      return Array.from(counts);
+    },
+
+    // Bits per byte under an order-0 model and under a model conditioned on the previous byte
+    result() {
+      if (total === 0) {
+        return { bytes: 0, order0: 0, order1: 0 };
+      }
+
+      let order0Bits = 0;
+      for (let symbol = 0; symbol < 256; symbol++) {
+        if (counts[symbol] > 0) {
+          order0Bits += counts[symbol] * Math.log2(total / counts[symbol]);
+        }
+      }
+
+      let order1Bits = 0;
+      for (let context = 0; context < 256; context++) {
+        let contextTotal = 0;
+        for (let symbol = 0; symbol < 256; symbol++) {
+          contextTotal += pairCounts[(context << 8) | symbol];
+        }
+        if (contextTotal === 0) continue;
+
+        for (let symbol = 0; symbol < 256; symbol++) {
+          const count = pairCounts[(context << 8) | symbol];
+          if (count > 0) {
+            order1Bits += count * Math.log2(contextTotal / count);
+          }
+        }
+      }
+
+      return { bytes: total, order0: order0Bits / total, order1: order1Bits / total };
+    },
+  };
+}
+
+function measureEntropy(buffer) {
+  const counter = createEntropyCounter();
+  counter.update(buffer);
+  return counter.result();
+}
+
+async function measureFileEntropy(filePath) {
+  const counter = createEntropyCounter();
+  for await (const chunk of fs.createReadStream(filePath)) {
+    counter.update(chunk);
+  }
+  return counter.result();
+}
+
+// Compares a compressed size against the entropy bounds of its input
+function describeEfficiency(entropy, compressedSize) {
+  const round = (value) => Number(value.toFixed(3));
+  const achieved = entropy.bytes > 0 ? (compressedSize * 8) / entropy.bytes : 0;
+
+  return {
+    order0BitsPerByte: round(entropy.order0),
+    order1BitsPerByte: round(entropy.order1),
+    order0BoundBytes: Math.ceil((entropy.order0 * entropy.bytes) / 8),
+    order1BoundBytes: Math.ceil((entropy.order1 * entropy.bytes) / 8),
+    achievedBitsPerByte: round(achieved),
+  };
+}
+
+module.exports = {
+  createEntropyCounter,
+  measureEntropy,
+  measureFileEntropy,
+  describeEfficiency,
+};
@@ -0,0 +1,100 @@
+// File: server/algorithms/errors.js
+// Typed codec errors so routes can tell users *why* a file could not be processed
+
+class CodecError extends Error {
+  constructor(message, code = "CODEC_ERROR", status = 422) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code; // Machine-readable reason, sent to the client as-is
+    this.status = status; // HTTP status the routes should answer with
+    this.offset = null; // Byte of the input where decoding failed, when the decoder knows it
+  }
+}
+
+// Input is not in the format the codec expects (wrong magic, marker or header)
+class InvalidFormatError extends CodecError {
+  constructor(message) {
+    super(message, "INVALID_FORMAT", 415);
+  }
+}
+
+// Input ends before the header or compressed stream is complete
+class TruncatedError extends CodecError {
+  constructor(message) {
+    super(message, "TRUNCATED", 422);
+  }
+}
+
+// Decoded output length disagrees with the size recorded at compression time
+class SizeMismatchError extends CodecError {
+  constructor(expected, actual) {
+    super(`Expected ${expected} bytes, got ${actual} bytes`, "SIZE_MISMATCH", 422);
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// Decoded output does not match the checksum of the original recorded at compression time
+class ChecksumMismatchError extends CodecError {
+  constructor(expected, actual) {
+    super(
+      `Checksum mismatch: the original had CRC-32 ${hex32(expected)}, the decoded data has ${hex32(actual)}`,
+      "CHECKSUM_MISMATCH",
+      422
+    );
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// Header is plausible but the stream contains impossible values
+class CorruptStreamError extends CodecError {
+  constructor(message) {
+    super(message, "CORRUPT_STREAM", 422);
+  }
+}
+
+// A tunable parameter sent with /compress is unknown, mistyped or out of range
+class InvalidParameterError extends CodecError {
+  constructor(param, message) {
+    super(message, "INVALID_PARAMETER", 400);
+    this.param = param;
+  }
+}
+
+// Upload is larger than an operation that keeps several copies of it in memory accepts
+class FileTooLargeError extends CodecError {
+  constructor(message) {
+    super(message, "FILE_TOO_LARGE", 413);
+  }
+}
+
+function hex32(value) {
+  return value.toString(16).padStart(8, "0");
+}
+
+// Auto mode found no codec that could compress the upload
+class NoCodecError extends CodecError {
+  constructor(message) {
+    super(message, "NO_CODEC", 422);
+  }
+}
+
+// Records where in the input an error was found: throw atOffset(new ...Error(), offset)
+function atOffset(error, offset) {
+  error.offset = offset;
+  return error;
+}
+
+module.exports = {
+  CodecError,
+  InvalidFormatError,
+  TruncatedError,
+  SizeMismatchError,
+  ChecksumMismatchError,
+  CorruptStreamError,
+  InvalidParameterError,
+  FileTooLargeError,
+  NoCodecError,
+  atOffset,
+};
@@ -0,0 +1,221 @@
+// File: server/algorithms/formats.js
+// Standard compressed files made by other tools (gzip, zlib, zip): detection by
+// magic bytes and extraction with Node's zlib
+
+const path = require("path");
+const zlib = require("zlib");
+const {
+  InvalidFormatError,
+  TruncatedError,
+  SizeMismatchError,
+  CorruptStreamError,
+  FileTooLargeError,
+} = require("./errors");
+const { crc32 } = require("./crc32");
+
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_LOCAL_HEADER_SIZE = 30;
+const ZIP_CENTRAL_HEADER_SIZE = 46;
+const ZIP_END_SIZE = 22;
+const ZIP_MAX_COMMENT = 0xffff;
+// Entries are inflated in memory; strict mode stops at the size the archive records,
+// lenient mode (which ignores that size) at this ceiling
+const ZIP_MAX_ENTRY_BYTES = 256 * 1024 * 1024;
+
+const ZIP_FLAG_ENCRYPTED = 0x0001;
+const ZIP_FLAG_UTF8 = 0x0800;
+
+const ZIP_METHODS = {
+  0: "stored",
+  8: "deflate",
+  9: "deflate64",
+  12: "bzip2",
+  14: "lzma",
+  93: "zstd",
+  95: "xz",
+};
+
+// Extensions other tools add, and what the extracted file should end in instead
+const OUTPUT_EXTENSIONS = {
+  ".gz": "",
+  ".tgz": ".tar",
+  ".zlib": "",
+  ".zz": "",
+  ".z": "",
+  ".zip": "",
+};
+
+// zlib header: deflate method, window of at most 32 KB, no preset dictionary,
+// and a check value that makes the two bytes a multiple of 31
+function isZlibHeader(cmf, flg) {
+  return (cmf & 0x0f) === 8 && cmf >>> 4 <= 7 && (flg & 0x20) === 0 && ((cmf << 8) | flg) % 31 === 0;
+}
+
+// Looks at the first bytes of an upload; returns "gzip", "zlib", "zip" or null
+function detectStandardFormat(sample) {
+  if (sample.length >= 3 && sample[0] === 0x1f && sample[1] === 0x8b && sample[2] === 8) {
+    return "gzip";
+  }
+  if (sample.length >= 4) {
+    const signature = sample.readUInt32LE(0);
+    // An empty archive is only an end-of-central-directory record
+    if (signature === ZIP_LOCAL_SIGNATURE || signature === ZIP_END_SIGNATURE) {
+      return "zip";
+    }
+  }
+  if (sample.length >= 2 && isZlibHeader(sample[0], sample[1])) {
+    return "zlib";
+  }
+  return null;
+}
+
+function standardOutputName(filename) {
+  const ext = path.extname(filename);
+  const replacement = OUTPUT_EXTENSIONS[ext.toLowerCase()];
+  return replacement === undefined ? filename : filename.slice(0, -ext.length) + replacement;
+}
+
+// zlib reports problems as plain errors with Z_* codes (brotli: ERR__ERROR_*);
+// turn them into typed codec errors
+function toCodecError(error, what) {
+  if (error.code === "Z_BUF_ERROR") {
+    return new TruncatedError(`${what} ended early: ${error.message}.`);
+  }
+  if (typeof error.code === "string" && /^(Z_|ERR__ERROR_)/.test(error.code)) {
+    return new CorruptStreamError(`${what} is corrupt: ${error.message}.`);
+  }
+  return error;
+}
+
+// Inflater for the single-stream formats. Lenient mode keeps whatever a
+// truncated stream decodes to instead of failing at the end.
+function createStandardDecompressStream(format, { strict = true } = {}) {
+  const options = strict ? {} : { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+  return format === "gzip" ? zlib.createGunzip(options) : zlib.createInflate(options);
+}
+
+function findZipEnd(buffer) {
+  const earliest = Math.max(0, buffer.length - ZIP_END_SIZE - ZIP_MAX_COMMENT);
+  for (let offset = buffer.length - ZIP_END_SIZE; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new TruncatedError("Zip end-of-central-directory record is missing; the archive is incomplete.");
+}
+
+// Entries listed in the central directory at the end of the archive
+function readZipEntries(buffer) {
+  const endOffset = findZipEnd(buffer);
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  const directorySize = buffer.readUInt32LE(endOffset + 12);
+  const directoryOffset = buffer.readUInt32LE(endOffset + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new InvalidFormatError("ZIP64 archives are not supported.");
+  }
+  if (directoryOffset + directorySize > endOffset) {
+    throw new TruncatedError("Zip central directory lies outside the archive.");
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let index = 0; index < entryCount; index++) {
+    if (
+      offset + ZIP_CENTRAL_HEADER_SIZE > endOffset ||
+      buffer.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE
+    ) {
+      throw new CorruptStreamError(`Zip central directory entry ${index + 1} is damaged.`);
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const nameStart = offset + ZIP_CENTRAL_HEADER_SIZE;
+    // Names without the UTF-8 flag are CP437; latin1 matches it for ASCII names
+    const name = buffer.toString(flags & ZIP_FLAG_UTF8 ? "utf-8" : "latin1", nameStart, nameStart + nameLength);
+
+    entries.push({
+      name,
+      flags,
+      method: buffer.readUInt16LE(offset + 10),
+      crc: buffer.readUInt32LE(offset + 16),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42),
+      directory: name.endsWith("/"),
+    });
+    offset = nameStart + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function describeZipMethod(method) {
+  return ZIP_METHODS[method] || `method ${method}`;
+}
+
+function extractZipEntry(buffer, entry, { strict = true } = {}) {
+  if (entry.flags & ZIP_FLAG_ENCRYPTED) {
+    throw new InvalidFormatError(`Zip entry "${entry.name}" is encrypted.`);
+  }
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new InvalidFormatError(
+      `Zip entry "${entry.name}" uses ${describeZipMethod(entry.method)} compression, which is not supported.`
+    );
+  }
+
+  const offset = entry.localOffset;
+  if (
+    offset + ZIP_LOCAL_HEADER_SIZE > buffer.length ||
+    buffer.readUInt32LE(offset) !== ZIP_LOCAL_SIGNATURE
+  ) {
+    throw new CorruptStreamError(`Local header of zip entry "${entry.name}" is missing.`);
+  }
+
+  // Sizes come from the central directory; local headers may leave them to a trailing data descriptor
+  const dataStart =
+    offset + ZIP_LOCAL_HEADER_SIZE + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const dataEnd = dataStart + entry.compressedSize;
+  if (dataEnd > buffer.length) {
+    throw new TruncatedError(`Zip entry "${entry.name}" is cut off.`);
+  }
+
+  let output = buffer.subarray(dataStart, dataEnd);
+  if (entry.method === 8) {
+    // A tiny hostile entry can inflate to gigabytes, so the output is capped up front
+    const limit = strict ? Math.max(entry.size, 1) : ZIP_MAX_ENTRY_BYTES;
+    try {
+      output = zlib.inflateRawSync(output, { maxOutputLength: limit });
+    } catch (error) {
+      if (error.code === "ERR_BUFFER_TOO_LARGE") {
+        throw strict
+          ? new CorruptStreamError(`Zip entry "${entry.name}" inflates to more than its recorded ${entry.size} bytes.`)
+          : new FileTooLargeError(`Zip entry "${entry.name}" inflates to more than ${limit} bytes.`);
+      }
+      throw toCodecError(error, `Zip entry "${entry.name}"`);
+    }
+  }
+
+  if (strict) {
+    if (output.length !== entry.size) {
+      throw new SizeMismatchError(entry.size, output.length);
+    }
+    if (crc32(output) !== entry.crc) {
+      throw new CorruptStreamError(`Zip entry "${entry.name}" fails its CRC-32 check.`);
+    }
+  }
+  return output;
+}
+
+module.exports = {
+  detectStandardFormat,
+  standardOutputName,
+  toCodecError,
+  createStandardDecompressStream,
+  readZipEntries,
+  extractZipEntry,
+  describeZipMethod,
+};
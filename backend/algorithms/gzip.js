@@ -0,0 +1,165 @@
+// File: server/algorithms/gzip.js
+// gzip codec: our own DEFLATE encoder in standard gzip framing, so downloads
+// open with gunzip and OS archive tools
+
+const zlib = require("zlib");
+const {
+  InvalidFormatError,
+  TruncatedError,
+  CorruptStreamError,
+} = require("./errors");
+const { DEFAULT_MAX_CHAIN_DEPTH, deflateRaw } = require("./deflate");
+const { crc32 } = require("./crc32");
+const { registerCodec } = require("./registry");
+const { createBlockCompressStream } = require("./stream");
+const { createStandardDecompressStream } = require("./formats");
+
+// gzip member (RFC 1952), all multi-byte fields little-endian:
+// header   [magic 1f 8b][method 8 = deflate][flags][mtime x4][extra_flags][os]
+// data     raw DEFLATE stream
+// trailer  [crc32 of original x4][original_size mod 2^32 x4]
+const MAGIC = Buffer.from([0x1f, 0x8b]);
+const METHOD_DEFLATE = 8;
+const OS_UNKNOWN = 255;
+const HEADER_SIZE = 10;
+const TRAILER_SIZE = 8;
+const FLAG_EXTRA = 0x04;
+const FLAG_NAME = 0x08;
+
+function compressGzip(inputBuffer, options = {}) {
+  const input = Buffer.isBuffer(inputBuffer) ? inputBuffer : Buffer.from(inputBuffer);
+  const { data, blockCounts } = deflateRaw(input, options);
+
+  // No stored filename or timestamp: the download name already carries the original name
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header[2] = METHOD_DEFLATE;
+  header[9] = OS_UNKNOWN;
+
+  const trailer = Buffer.alloc(TRAILER_SIZE);
+  trailer.writeUInt32LE(crc32(input), 0);
+  trailer.writeUInt32LE(input.length % 2 ** 32, 4);
+
+  return { data: Buffer.concat([header, data, trailer]), blockCounts };
+}
+
+function decompressGzip(buffer, { strict = true } = {}) {
+  if (strict) {
+    // Throws a typed error describing why the file is not gzip data
+    readGzipHeader(buffer);
+  } else if (!isValidGzipFile(buffer)) {
+    // Lenient mode: hand back files that are not gzip data unchanged
+    return buffer;
+  }
+
+  return performActualDecompression(buffer);
+}
+
+function readGzipHeader(buffer) {
+  if (buffer.length < MAGIC.length || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new InvalidFormatError("Missing gzip magic bytes; this is not a gzip file.");
+  }
+
+  if (buffer.length < HEADER_SIZE + TRAILER_SIZE) {
+    throw new TruncatedError(`A gzip file needs at least ${HEADER_SIZE + TRAILER_SIZE} bytes, file has ${buffer.length}.`);
+  }
+
+  if (buffer[2] !== METHOD_DEFLATE) {
+    throw new InvalidFormatError(`Unsupported gzip compression method ${buffer[2]}.`);
+  }
+
+  return { flags: buffer[3], os: buffer[9], name: readGzipName(buffer) };
+}
+
+// Original filename stored by gzip tools (FNAME flag), or null when absent or
+// not within the bytes given
+function readGzipName(buffer) {
+  const flags = buffer[3];
+  if (!(flags & FLAG_NAME)) {
+    return null;
+  }
+
+  let offset = HEADER_SIZE;
+  if (flags & FLAG_EXTRA) {
+    if (offset + 2 > buffer.length) return null;
+    offset += 2 + buffer.readUInt16LE(offset);
+  }
+  const end = buffer.indexOf(0, offset);
+  return end === -1 ? null : buffer.toString("latin1", offset, end);
+}
+
+function isValidGzipFile(buffer) {
+  try {
+    readGzipHeader(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Only the encoder is our own; Node's zlib inflates, which also checks the CRC and size
+function performActualDecompression(buffer) {
+  try {
+    return zlib.gunzipSync(buffer);
+  } catch (error) {
+    if (error.code === "Z_BUF_ERROR") {
+      throw new TruncatedError(`gzip stream ended early: ${error.message}.`);
+    }
+    throw new CorruptStreamError(`gzip stream is corrupt: ${error.message}.`);
+  }
+}
+
+registerCodec({
+  id: "gzip",
+  name: "gzip (DEFLATE)",
+  description:
+    "Standard .gz file from our own DEFLATE encoder: LZ77 matches coded with fixed or per-block dynamic Huffman tables. Opens with gunzip and OS archive tools.",
+  bestFor: "Files to Share",
+  typicalRatio: "~25-45%",
+  extension: "gz",
+  // Each block becomes its own gzip member; gunzip reads concatenated members as one file
+  capabilities: { standardFormat: true, streaming: true },
+  params: [
+    {
+      name: "blockType",
+      label: "Block type",
+      type: "enum",
+      options: [
+        { value: "auto", label: "Smallest per block" },
+        { value: "stored", label: "Stored (no compression)" },
+        { value: "fixed", label: "Fixed Huffman codes" },
+        { value: "dynamic", label: "Dynamic Huffman codes" },
+      ],
+      default: "auto",
+      description: "How each DEFLATE block is coded. Smallest picks stored, fixed or dynamic for every block separately.",
+    },
+    {
+      name: "maxChainDepth",
+      label: "Search depth",
+      type: "integer",
+      min: 1,
+      max: 4096,
+      default: DEFAULT_MAX_CHAIN_DEPTH,
+      description: "Match candidates examined per position. Higher is slower but can find longer matches.",
+    },
+    {
+      name: "lazy",
+      label: "Lazy matching",
+      type: "boolean",
+      default: true,
+      description: "Check whether a match starting one byte later is longer before committing.",
+    },
+  ],
+  compress: (buffer, params) => compressGzip(buffer, params).data,
+  decompress: (buffer, options) => decompressGzip(buffer, options),
+  createCompressStream: (params) =>
+    createBlockCompressStream((block) => compressGzip(block, params).data, { framed: false }),
+  createDecompressStream: (params, { strict = true } = {}) => createStandardDecompressStream("gzip", { strict }),
+});
+
+module.exports = {
+  compressGzip,
+  decompressGzip,
+  readGzipHeader,
+  isValidGzipFile,
+};
@@ -0,0 +1,8 @@
+// File: server/algorithms/hex.js
+// Byte formatting shared by the codecs' hex inspector labels
+
+function hex(byte) {
+  return `0x${byte.toString(16).padStart(2, "0").toUpperCase()}`;
+}
+
+module.exports = { hex };
@@ -1,5 +1,29 @@
 // File: server/algorithms/huffman.js
-// Advanced Huffman implementation with binary-safe compression & safer tree handling
+// Canonical Huffman implementation with binary-safe compression & a compact code-length header
+
+const {
+  InvalidFormatError,
+  TruncatedError,
+  SizeMismatchError,
+  CorruptStreamError,
+  atOffset,
+} = require("./errors");
+const { BitWriter, BitReader } = require("./bitio");
+const { createBlockCompressStream, createBlockDecompressStream } = require("./stream");
+const { registerCodec } = require("./registry");
+
+// Canonical format (version 1):
+// [magic "HUF" x3][version][flags][original_size x6][padding][code lengths][data]
+// Code lengths are 256 raw bytes, or (length, run - 1) pairs when FLAG_RLE_LENGTHS is set.
+// Files from before canonical codes start directly with the padding byte (0-7)
+// followed by a serialized tree; they are still decoded.
+const MAGIC = Buffer.from("HUF", "ascii");
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 12;
+const FLAG_RLE_LENGTHS = 0x01;
+
+// Longest code we emit; keeps the decode table at 2^15 entries
+const MAX_CODE_LENGTH = 15;
 
 function buildFrequencyTable(buffer) {
   const freq = new Map();
@@ -40,23 +64,145 @@ function generateCodes(node, prefix = '', map = new Map()) {
   return map;
 }
 
-function writeTree(node, output = []) {
-  if (!node) return output;
-  
-  if (node.byte !== null) {
-    output.push(1); // leaf marker
-    output.push(node.byte);
-  } else {
-    output.push(0); // internal marker
-    writeTree(node.left, output);
-    writeTree(node.right, output);
+// Only the depth of each symbol in the tree is kept; canonical codes are
+// rebuilt from these lengths on both sides. DEFLATE reuses this with its own
+// alphabet sizes and length limits.
+function buildCodeLengths(freqMap, maxLength = MAX_CODE_LENGTH, alphabetSize = 256) {
+  let frequencies = freqMap;
+
+  for (;;) {
+    const lengths = new Uint8Array(alphabetSize);
+    let longest = 0;
+
+    for (const [byte, code] of generateCodes(buildHuffmanTree(frequencies))) {
+      lengths[byte] = code.length;
+      longest = Math.max(longest, code.length);
+    }
+
+    if (longest <= maxLength) {
+      return lengths;
+    }
+
+    // Too deep: flatten the distribution and rebuild until the tree fits
+    const flattened = new Map();
+    for (const [byte, freq] of frequencies) {
+      flattened.set(byte, (freq >> 1) | 1);
+    }
+    frequencies = flattened;
   }
-  return output;
+}
+
+// Canonical assignment: shorter codes first, ties broken by symbol value
+function assignCanonicalCodes(lengths) {
+  const codes = new Uint32Array(lengths.length);
+  const symbols = [];
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol] > 0) symbols.push(symbol);
+  }
+  symbols.sort((a, b) => lengths[a] - lengths[b] || a - b);
+
+  let code = 0;
+  let previousLength = 0;
+  for (const symbol of symbols) {
+    code <<= lengths[symbol] - previousLength;
+    codes[symbol] = code;
+    previousLength = lengths[symbol];
+    code++;
+  }
+  return codes;
+}
+
+function writeCodeLengths(lengths) {
+  const pairs = [];
+  for (let i = 0; i < lengths.length; ) {
+    let run = 1;
+    while (i + run < lengths.length && lengths[i + run] === lengths[i] && run < 256) {
+      run++;
+    }
+    pairs.push(lengths[i], run - 1);
+    i += run;
+  }
+
+  // Run-length code the table only when it actually gets smaller
+  if (pairs.length < lengths.length) {
+    return { bytes: Buffer.from(pairs), rle: true };
+  }
+  return { bytes: Buffer.from(lengths), rle: false };
+}
+
+function readCodeLengths(buffer, offset, rle) {
+  const lengths = new Uint8Array(256);
+
+  if (!rle) {
+    if (offset + 256 > buffer.length) {
+      throw new TruncatedError("Huffman code-length table is incomplete.");
+    }
+    lengths.set(buffer.subarray(offset, offset + 256));
+    return { lengths, end: offset + 256 };
+  }
+
+  let symbol = 0;
+  let position = offset;
+  while (symbol < 256) {
+    if (position + 1 >= buffer.length) {
+      throw new TruncatedError("Huffman code-length table is incomplete.");
+    }
+    const length = buffer[position];
+    const run = buffer[position + 1] + 1;
+    position += 2;
+
+    if (symbol + run > 256) {
+      throw atOffset(new CorruptStreamError("Huffman code-length runs cover more than 256 symbols."), position - 2);
+    }
+    lengths.fill(length, symbol, symbol + run);
+    symbol += run;
+  }
+  return { lengths, end: position };
+}
+
+function validateCodeLengths(lengths) {
+  // Kraft sum scaled by 2^MAX_CODE_LENGTH must not exceed 1 for a prefix code
+  let kraft = 0;
+  let used = 0;
+  for (const length of lengths) {
+    if (length === 0) continue;
+    if (length > MAX_CODE_LENGTH) {
+      throw new CorruptStreamError(`Huffman code length ${length} exceeds the maximum of ${MAX_CODE_LENGTH}.`);
+    }
+    kraft += 1 << (MAX_CODE_LENGTH - length);
+    used++;
+  }
+
+  if (used === 0) {
+    throw new CorruptStreamError("Huffman code-length table has no symbols.");
+  }
+  if (kraft > 1 << MAX_CODE_LENGTH) {
+    throw new CorruptStreamError("Huffman code lengths do not form a valid prefix code.");
+  }
+}
+
+// Every possible maxLength-bit window maps straight to (symbol, code length),
+// so decoding is one table lookup per symbol instead of a walk down the tree.
+function buildDecodeTable(lengths) {
+  const maxLength = Math.max(...lengths);
+  const codes = assignCanonicalCodes(lengths);
+  const table = new Int32Array(1 << maxLength).fill(-1);
+
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (length === 0) continue;
+
+    const start = codes[symbol] << (maxLength - length);
+    const end = start + (1 << (maxLength - length));
+    table.fill((symbol << 8) | length, start, end);
+  }
+
+  return { table, maxLength };
 }
 
 function readTree(bytes, index = { i: 0 }) {
   if (index.i >= bytes.length) {
-    throw new Error("Unexpected end of Huffman tree data.");
+    throw new TruncatedError("Unexpected end of Huffman tree data.");
   }
   
   const flag = bytes[index.i++];
@@ -64,7 +210,7 @@ function readTree(bytes, index = { i: 0 }) {
   if (flag === 1) {
     // Leaf node
     if (index.i >= bytes.length) {
-      throw new Error("Incomplete leaf node in Huffman tree.");
+      throw new TruncatedError("Incomplete leaf node in Huffman tree.");
     }
     const byte = bytes[index.i++];
     return { byte, left: null, right: null };
@@ -74,11 +220,56 @@ function readTree(bytes, index = { i: 0 }) {
     const right = readTree(bytes, index);
     return { byte: null, left, right };
   } else {
-    throw new Error(`Invalid tree flag value: ${flag}. Expected 0 or 1. This file may not be a valid Huffman-compressed file.`);
+    throw new CorruptStreamError(`Invalid tree flag value: ${flag}. Expected 0 or 1. This file may not be a valid Huffman-compressed file.`);
   }
 }
 
-function compressHuffman(input) {
+// Converts a tree from buildHuffmanTree into plain JSON: leaves carry their symbol,
+// internal nodes their two children (0 = left, 1 = right)
+function serializeTree(node) {
+  if (node.byte !== null) {
+    return { symbol: node.byte, frequency: node.freq };
+  }
+  return {
+    frequency: node.freq,
+    children: [node.left, node.right].map((child) => (child ? serializeTree(child) : null)),
+  };
+}
+
+// What the encoder did and why, for teaching views. Tree codes come straight from
+// the Huffman tree; the file stores canonical codes of the same lengths, which
+// only differ in bit pattern (unless the tree was too deep and had to be flattened).
+function explainHuffman(buffer, lengths, codes) {
+  const frequencies = buildFrequencyTable(buffer);
+  const tree = buildHuffmanTree(frequencies);
+  const treeCodes = generateCodes(tree);
+
+  const symbols = [...frequencies.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .map(([symbol, frequency]) => ({
+      symbol,
+      frequency,
+      treeCode: treeCodes.get(symbol),
+      code: codes[symbol].toString(2).padStart(lengths[symbol], "0"),
+      bits: lengths[symbol],
+      // Against storing every occurrence as a plain 8-bit byte
+      bitsSaved: frequency * (8 - lengths[symbol]),
+    }));
+
+  const encodedBits = symbols.reduce((total, entry) => total + entry.frequency * entry.bits, 0);
+  return {
+    inputBytes: buffer.length,
+    distinctSymbols: symbols.length,
+    encodedBits,
+    averageBitsPerSymbol: Number((encodedBits / buffer.length).toFixed(3)),
+    lengthLimited: symbols.some((entry) => entry.treeCode.length !== entry.bits),
+    symbols,
+    tree: serializeTree(tree),
+  };
+}
+
+// With { explain: true } the result also carries the frequency table, codes and tree
+function compressHuffman(input, { explain = false } = {}) {
   const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
   
   // Handle empty input
@@ -86,104 +277,179 @@ function compressHuffman(input) {
     throw new Error("Cannot compress empty input");
   }
   
-  const freq = buildFrequencyTable(buffer);
-  const tree = buildHuffmanTree(freq);
-  const codes = generateCodes(tree);
+  const lengths = buildCodeLengths(buildFrequencyTable(buffer));
+  const codes = assignCanonicalCodes(lengths);
 
-  let bitString = '';
+  // Average code length is under 8 bits, so the input size is a good first guess
+  const writer = new BitWriter({ initialSize: buffer.length });
   for (const byte of buffer) {
-    const code = codes.get(byte);
-    if (!code) {
-      throw new Error(`No Huffman code found for byte: ${byte}`);
-    }
-    bitString += code;
+    writer.writeBits(codes[byte], lengths[byte]);
   }
-  
-  // Calculate padding
-  const padding = (8 - (bitString.length % 8)) % 8;
-  bitString += '0'.repeat(padding);
+  const padding = writer.alignToByte();
 
-  // Convert bit string to bytes
-  const dataBytes = [];
-  for (let i = 0; i < bitString.length; i += 8) {
-    const byte = parseInt(bitString.slice(i, i + 8), 2);
-    dataBytes.push(byte);
-  }
-
-  // Serialize tree
-  const treeBytes = writeTree(tree);
+  const table = writeCodeLengths(lengths);
   
-  // Validate tree size
-  if (treeBytes.length > 65535) {
-    throw new Error("Huffman tree too large to encode");
-  }
-
-  // Create header: [padding][tree_size_high][tree_size_low][original_size_bytes]
-  const header = Buffer.alloc(7);
-  header[0] = padding;
-  header[1] = (treeBytes.length >> 8) & 0xff;
-  header[2] = treeBytes.length & 0xff;
-  header[3] = (buffer.length >> 24) & 0xff;
-  header[4] = (buffer.length >> 16) & 0xff;
-  header[5] = (buffer.length >> 8) & 0xff;
-  header[6] = buffer.length & 0xff;
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header[3] = FORMAT_VERSION;
+  header[4] = table.rle ? FLAG_RLE_LENGTHS : 0;
+  header.writeUIntBE(buffer.length, 5, 6);
+  header[11] = padding;
 
   const result = Buffer.concat([
     header,
-    Buffer.from(treeBytes),
-    Buffer.from(dataBytes),
+    table.bytes,
+    writer.toBuffer(),
   ]);
 
-  return { data: result };
+  return explain ? { data: result, explanation: explainHuffman(buffer, lengths, codes) } : { data: result };
 }
 
-function decompressHuffman(buffer) {
-  // Check if this is actually a Huffman-compressed file or an original file
-  const isHuffmanFile = isValidHuffmanFile(buffer);
-  
-  if (!isHuffmanFile) {
-    
-    const compressionResult = compressHuffman(buffer);
-   
+function isCanonicalHuffmanFile(buffer) {
+  return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function decompressHuffman(buffer, { strict = true } = {}) {
+  if (strict) {
+    // Throws a typed error describing why the file is not valid Huffman data
+    validateHuffmanFile(buffer);
+  } else if (!isValidHuffmanFile(buffer)) {
+    // Lenient mode: hand back files that are not Huffman data unchanged
     return buffer;
   }
 
   // This is a real Huffman-compressed file - proceed with actual decompression
-  return performActualDecompression(buffer);
+  if (isCanonicalHuffmanFile(buffer)) {
+    return performActualDecompression(buffer, strict);
+  }
+  return performLegacyDecompression(buffer, strict);
 }
 
-function isValidHuffmanFile(buffer) {
+function validateHuffmanFile(buffer) {
+  if (isCanonicalHuffmanFile(buffer)) {
+    readCanonicalHeader(buffer);
+    return;
+  }
+
   // Validate minimum header size
   if (buffer.length < 7) {
-    return false;
+    throw new TruncatedError(`Huffman header needs 7 bytes, file has ${buffer.length}.`);
   }
 
   // Read header values
   const padding = buffer[0];
   const treeSize = (buffer[1] << 8) | buffer[2];
-  const originalSize = (buffer[3] << 24) | (buffer[4] << 16) | (buffer[5] << 8) | buffer[6];
 
   // Check if header values make sense for a Huffman file
-  if (padding > 7 || treeSize === 0 || treeSize > 65535) {
-    return false;
+  if (padding > 7) {
+    throw atOffset(
+      new InvalidFormatError(`Invalid Huffman padding value ${padding}; this is not a Huffman-compressed file.`),
+      0
+    );
+  }
+
+  if (treeSize === 0) {
+    throw atOffset(
+      new InvalidFormatError("Huffman header declares an empty tree; this is not a Huffman-compressed file."),
+      1
+    );
   }
 
   if (7 + treeSize >= buffer.length) {
-    return false;
+    throw new TruncatedError(`Huffman tree needs ${treeSize} bytes but the file ends before any compressed data.`);
   }
 
-  // Try to read the tree structure to validate it's actually a Huffman file
+  // Reading the tree structure proves it's actually a Huffman file
+  readTree(Array.from(buffer.slice(7, 7 + treeSize)));
+}
+
+function isValidHuffmanFile(buffer) {
   try {
-    const treeBytes = buffer.slice(7, 7 + treeSize);
-    const treeArray = Array.from(treeBytes);
-    readTree(treeArray);
+    validateHuffmanFile(buffer);
     return true;
   } catch (error) {
     return false;
   }
 }
 
-function performActualDecompression(buffer) {
+function readCanonicalHeader(buffer) {
+  if (buffer.length < HEADER_SIZE) {
+    throw new TruncatedError(`Huffman header needs ${HEADER_SIZE} bytes, file has ${buffer.length}.`);
+  }
+
+  const version = buffer[3];
+  if (version !== FORMAT_VERSION) {
+    throw atOffset(new InvalidFormatError(`Unsupported Huffman format version ${version}.`), 3);
+  }
+
+  const flags = buffer[4];
+  const originalSize = buffer.readUIntBE(5, 6);
+  const padding = buffer[11];
+
+  if (padding > 7) {
+    throw atOffset(new CorruptStreamError(`Invalid Huffman padding value ${padding}.`), 11);
+  }
+
+  const { lengths, end } = readCodeLengths(buffer, HEADER_SIZE, (flags & FLAG_RLE_LENGTHS) !== 0);
+  validateCodeLengths(lengths);
+
+  if (end >= buffer.length) {
+    throw new TruncatedError("No compressed data found in file");
+  }
+
+  return { originalSize, padding, lengths, dataOffset: end };
+}
+
+function performActualDecompression(buffer, strict = true) {
+  const { originalSize, padding, lengths, dataOffset } = readCanonicalHeader(buffer);
+  const { table, maxLength } = buildDecodeTable(lengths);
+
+  const data = buffer.subarray(dataOffset);
+  const reader = new BitReader(data, { bitLength: data.length * 8 - padding });
+
+  // Every symbol takes at least one bit
+  if (originalSize > reader.remainingBits) {
+    throw atOffset(
+      new CorruptStreamError(`Huffman header claims ${originalSize} bytes, more than the ${reader.remainingBits} bits of data can encode.`),
+      5
+    );
+  }
+
+  const output = Buffer.alloc(originalSize);
+  let out = 0;
+
+  while (out < originalSize && reader.remainingBits > 0) {
+    // Bits past the end peek as zero, so the last code can always be looked up
+    const entry = table[reader.peekBits(maxLength)];
+    if (entry < 0) {
+      throw atOffset(
+        new CorruptStreamError(`Invalid Huffman code at bit ${reader.position}.`),
+        dataOffset + (reader.position >> 3)
+      );
+    }
+
+    const length = entry & 0xff;
+    if (length > reader.remainingBits) {
+      throw new TruncatedError("Huffman data ends in the middle of a code.");
+    }
+
+    output[out++] = entry >> 8;
+    reader.skipBits(length);
+  }
+
+  // Validate output size
+  if (out !== originalSize) {
+    if (strict) {
+      throw new SizeMismatchError(originalSize, out);
+    }
+    console.warn(`Warning: Expected ${originalSize} bytes, got ${out} bytes`);
+    return output.subarray(0, out);
+  }
+
+  return output;
+}
+
+function performLegacyDecompression(buffer, strict = true) {
   // Read header
   const padding = buffer[0];
   const treeSize = (buffer[1] << 8) | buffer[2];
@@ -193,46 +459,26 @@ function performActualDecompression(buffer) {
   const treeBytes = buffer.slice(7, 7 + treeSize);
   const treeArray = Array.from(treeBytes);
   
-  let tree;
-  try {
-    tree = readTree(treeArray);
-  } catch (error) {
-    throw new Error(`Failed to read Huffman tree: ${error.message}`);
-  }
+  const tree = readTree(treeArray);
 
   // Extract data section
   const data = buffer.slice(7 + treeSize);
   
   if (data.length === 0) {
-    throw new Error("No compressed data found in file");
+    throw new TruncatedError("No compressed data found in file");
   }
 
-  // Convert bytes to bit string
-  let bitString = '';
-  for (const byte of data) {
-    bitString += byte.toString(2).padStart(8, '0');
-  }
-  
-  // Remove padding
-  if (padding > 0) {
-    bitString = bitString.slice(0, -padding);
-  }
+  const reader = new BitReader(data, { bitLength: data.length * 8 - padding });
 
   // Decode using Huffman tree
   const output = [];
   let node = tree;
   
-  for (const bit of bitString) {
-    if (bit === '0') {
-      node = node.left;
-    } else if (bit === '1') {
-      node = node.right;
-    } else {
-      throw new Error(`Invalid bit value: ${bit}`);
-    }
+  while (reader.remainingBits > 0) {
+    node = reader.readBit() === 0 ? node.left : node.right;
     
     if (!node) {
-      throw new Error("Huffman tree traversal error: reached null node");
+      throw new CorruptStreamError("Huffman tree traversal error: reached null node");
     }
     
     // Check if we reached a leaf node
@@ -249,10 +495,110 @@ function performActualDecompression(buffer) {
 
   // Validate output size
   if (output.length !== originalSize) {
+    if (strict) {
+      throw new SizeMismatchError(originalSize, output.length);
+    }
     console.warn(`Warning: Expected ${originalSize} bytes, got ${output.length} bytes`);
   }
 
   return Buffer.from(output);
 }
 
-module.exports = { compressHuffman, decompressHuffman };
\ No newline at end of file
+// Labels the header, code table and payload for the hex inspector; decoding the
+// payload as well finds invalid codes and size mismatches
+function inspectHuffman(buffer, scope) {
+  if (!isCanonicalHuffmanFile(buffer)) {
+    return inspectLegacyHuffman(buffer, scope);
+  }
+
+  scope.add("header", 0, 3, "Magic", '"HUF": canonical Huffman data');
+  if (buffer.length >= HEADER_SIZE) {
+    scope.add("header", 3, 4, "Format version", `Version ${buffer[3]}`);
+    scope.add(
+      "header",
+      4,
+      5,
+      "Flags",
+      buffer[4] & FLAG_RLE_LENGTHS
+        ? "Code lengths are stored as (length, run - 1) pairs"
+        : "Code lengths are stored as 256 raw bytes"
+    );
+    scope.add("header", 5, 11, "Original size", `${buffer.readUIntBE(5, 6)} bytes`);
+    scope.add("header", 11, 12, "Padding", `${buffer[11]} unused bits at the end of the last byte`);
+  }
+
+  const { originalSize, padding, lengths, dataOffset } = scope.check(HEADER_SIZE, () =>
+    readCanonicalHeader(buffer)
+  );
+  const used = lengths.filter((length) => length > 0);
+  scope.add(
+    "tree",
+    HEADER_SIZE,
+    dataOffset,
+    "Code-length table",
+    `${used.length} symbols with ${Math.min(...used)}-${Math.max(...used)} bit codes; the decoder rebuilds the canonical codes from these lengths`
+  );
+  addPayloadRegions(scope, dataOffset, buffer.length, originalSize, padding);
+
+  scope.check(dataOffset, () => performActualDecompression(buffer));
+  return { format: "Canonical Huffman", originalSize };
+}
+
+function inspectLegacyHuffman(buffer, scope) {
+  if (buffer.length >= 7) {
+    scope.add("header", 0, 1, "Padding", `${buffer[0]} unused bits at the end of the last byte`);
+    scope.add("header", 1, 3, "Tree size", `${(buffer[1] << 8) | buffer[2]} bytes`);
+    scope.add("header", 3, 7, "Original size", `${buffer.readUInt32BE(3)} bytes`);
+  }
+
+  // Errors inside the serialized tree are reported at its first byte
+  scope.check(7, () => validateHuffmanFile(buffer));
+  const treeEnd = 7 + ((buffer[1] << 8) | buffer[2]);
+  const originalSize = buffer.readUInt32BE(3);
+  scope.add("tree", 7, treeEnd, "Huffman tree", "Pre-order: 0 marks an internal node, 1 a leaf followed by its byte");
+  addPayloadRegions(scope, treeEnd, buffer.length, originalSize, buffer[0]);
+
+  scope.check(treeEnd, () => performLegacyDecompression(buffer));
+  return { format: "Huffman (legacy tree format)", originalSize };
+}
+
+function addPayloadRegions(scope, start, end, originalSize, padding) {
+  scope.add("payload", start, end, "Encoded data", `${end - start} bytes of codes for ${originalSize} original bytes`);
+  if (padding > 0) {
+    scope.add("padding", end - 1, end, "Last byte", `The final ${padding} bits are padding, not codes`);
+  }
+}
+
+// Streaming variants: every block gets its own code table
+function createHuffmanCompressStream(options = {}) {
+  return createBlockCompressStream((block) => compressHuffman(block).data, options);
+}
+
+function createHuffmanDecompressStream(params, { strict = true } = {}) {
+  return createBlockDecompressStream((block) => decompressHuffman(block, { strict }), { strict });
+}
+
+registerCodec({
+  id: "huffman",
+  name: "Huffman Coding",
+  description: "Optimal for text files with repeated characters. Uses variable-length codes.",
+  bestFor: "Text Files",
+  typicalRatio: "~40-60%",
+  capabilities: { streaming: true },
+  compress: (buffer) => compressHuffman(buffer).data,
+  decompress: (buffer, options) => decompressHuffman(buffer, options),
+  explain: (buffer) => compressHuffman(buffer, { explain: true }).explanation,
+  inspect: (buffer, scope) => inspectHuffman(buffer, scope),
+  createCompressStream: createHuffmanCompressStream,
+  createDecompressStream: createHuffmanDecompressStream,
+});
+
+module.exports = {
+  compressHuffman,
+  decompressHuffman,
+  createHuffmanCompressStream,
+  createHuffmanDecompressStream,
+  buildFrequencyTable,
+  buildCodeLengths,
+  assignCanonicalCodes,
+};
\ No newline at end of file
@@ -0,0 +1,13 @@
+// File: server/algorithms/index.js
+// Loads every codec module so it registers itself, then exposes the registry
+
+require("./huffman");
+require("./rle");
+require("./lz77");
+require("./lzw");
+require("./range");
+require("./blocksort");
+require("./gzip");
+require("./baseline");
+
+module.exports = require("./registry");
@@ -0,0 +1,208 @@
+// File: server/algorithms/inspect.js
+// Byte map of a compressed file for the hex inspector: the container header, block
+// frames and each codec's header, tables and tokens become labelled regions, and a
+// file that does not parse reports the byte offset where parsing failed
+
+const fs = require("fs");
+const {
+  CodecError,
+  InvalidFormatError,
+  TruncatedError,
+  SizeMismatchError,
+  FileTooLargeError,
+  atOffset,
+} = require("./errors");
+const { hasContainerHeader, inspectHeader } = require("./container");
+const { inspectFrames } = require("./stream");
+const { detectStandardFormat } = require("./formats");
+const { createPipelineCodec, restorePipeline } = require("./pipeline");
+const { getCodec, listCodecs } = require("./registry");
+
+// Inspection decodes the whole file in memory
+const MAX_INSPECT_BYTES = 16 * 1024 * 1024;
+// Bytes sent to the viewer at once; larger files are paged through
+const VIEW_BYTES = 4096;
+const ROW_BYTES = 16;
+
+// An error without an offset of its own is blamed on `offset`, or on the end of
+// the scope when the data ran out
+function blame(error, offset, length) {
+  if (error instanceof CodecError && error.offset === null) {
+    const ranOut = error instanceof TruncatedError || error instanceof SizeMismatchError;
+    atOffset(error, ranOut ? length : offset);
+  }
+  return error;
+}
+
+// A scope covers `length` bytes starting at `base` in the file. Codecs get one for
+// their own output and use offsets relative to it:
+//   add(kind, start, end, label, detail)  labels a region
+//   fail(offset, error)                   stops with an error at offset
+//   check(offset, parse)                  runs a parser, blaming its errors on offset
+//   within(start, length, parse)          runs parse(scope) for a nested part
+// Regions are stored with file offsets, and only when they overlap the viewed bytes,
+// so a file of millions of tokens still produces a small response.
+function createScope(regions, view, base, length) {
+  return {
+    add(kind, start, end, label, detail) {
+      const from = base + start;
+      const to = base + Math.min(end, length);
+      if (from >= to || to <= view.start || from >= view.end) return;
+      regions.push({ start: from, end: to, kind, label, detail });
+    },
+    fail(offset, error) {
+      throw atOffset(error, offset);
+    },
+    check(offset, parse) {
+      try {
+        return parse();
+      } catch (error) {
+        throw blame(error, offset, length);
+      }
+    },
+    within(start, size, parse) {
+      try {
+        return parse(createScope(regions, view, base + start, size));
+      } catch (error) {
+        if (error instanceof CodecError) {
+          blame(error, 0, size).offset += start;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+// Codecs without an inspect hook are still decoded, so errors are found, but
+// their bytes are labelled as a whole
+function inspectOpaque(codec, buffer, scope, params) {
+  scope.add("payload", 0, buffer.length, "Compressed data", `${codec.name} output, not broken down further`);
+  const output = scope.check(0, () => codec.decompress(buffer, { strict: true, params }));
+  return { format: codec.name, originalSize: output.length };
+}
+
+// Raw codec output carries no algorithm id; fall back to the filename extension
+function guessAlgorithm(filename) {
+  const codec = listCodecs().find(({ extension }) => filename.endsWith(`.${extension}`));
+  return codec ? codec.id : null;
+}
+
+function inspectLayers(buffer, algorithm, root, result) {
+  let params = {};
+  let header = null;
+
+  if (hasContainerHeader(buffer)) {
+    header = inspectHeader(buffer, root);
+    result.container = {
+      version: header.version,
+      originalFilename: header.originalFilename,
+      originalSize: header.originalSize,
+      blocked: header.blocked,
+    };
+    algorithm = header.algorithm;
+    params = header.params;
+  } else {
+    // gzip, zlib and zip files from other tools are recognised but not taken apart
+    const standard = detectStandardFormat(buffer);
+    if (standard) {
+      result.formats.push(standard);
+      root.add("payload", 0, buffer.length, `${standard} data`, "Standard format, not broken down further");
+      return;
+    }
+  }
+
+  result.algorithm = algorithm;
+  const codec =
+    header && algorithm === "pipeline"
+      ? root.check(0, () => createPipelineCodec(restorePipeline(params.stages)))
+      : algorithm && getCodec(algorithm);
+  const start = header ? header.headerLength : 0;
+  if (!codec) {
+    root.add("payload", start, buffer.length, "Unknown data", "No algorithm to read it with");
+    root.fail(
+      start,
+      new InvalidFormatError(
+        algorithm
+          ? `Unknown algorithm "${algorithm}".`
+          : "The file has no container header; choose the algorithm it was compressed with."
+      )
+    );
+  }
+
+  const inspectBlock = (scope, block) => {
+    const info = codec.inspect ? codec.inspect(block, scope, params) : inspectOpaque(codec, block, scope, params);
+    if (!result.formats.includes(info.format)) result.formats.push(info.format);
+    return info;
+  };
+
+  const payload = buffer.subarray(start);
+  const info = header && header.blocked
+    ? root.within(start, payload.length, (scope) => inspectFrames(payload, scope, inspectBlock))
+    : root.within(start, payload.length, (scope) => inspectBlock(scope, payload));
+  if (info.frames !== undefined) result.blocks = info.frames;
+
+  // The container's size field covers every block
+  if (header && info.originalSize !== header.originalSize) {
+    root.fail(7, new SizeMismatchError(header.originalSize, info.originalSize));
+  }
+}
+
+function inspectBuffer(buffer, algorithm, view) {
+  const regions = [];
+  const result = { algorithm, container: null, blocks: null, formats: [], regions, error: null };
+  const root = createScope(regions, view, 0, buffer.length);
+
+  try {
+    inspectLayers(buffer, algorithm, root, result);
+  } catch (error) {
+    if (!(error instanceof CodecError)) throw error;
+    blame(error, 0, buffer.length);
+    result.error = {
+      code: error.code,
+      message: error.message,
+      // Data that ran out is blamed on the last byte there is
+      offset: Math.min(error.offset, Math.max(buffer.length - 1, 0)),
+    };
+  }
+  return result;
+}
+
+function viewAt(offset, size) {
+  const lastRow = Math.max(0, Math.floor((size - 1) / ROW_BYTES) * ROW_BYTES);
+  const start = Math.min(Math.max(0, Math.floor(offset / ROW_BYTES) * ROW_BYTES), lastRow);
+  return { start, end: Math.min(size, start + VIEW_BYTES) };
+}
+
+// `algorithm` is only needed for raw codec output; `offset` picks the bytes to view,
+// by default the start of the file or, when parsing fails further in, the failure
+async function inspectFile(filePath, fileSize, { algorithm = null, filename = "", offset = null } = {}) {
+  if (fileSize > MAX_INSPECT_BYTES) {
+    throw new FileTooLargeError(
+      `The inspector reads files up to ${MAX_INSPECT_BYTES / (1024 * 1024)} MB; this file has ${fileSize} bytes.`
+    );
+  }
+
+  const buffer = await fs.promises.readFile(filePath);
+  const codecId = algorithm || guessAlgorithm(filename);
+  let view = viewAt(offset ?? 0, buffer.length);
+  let result = inspectBuffer(buffer, codecId, view);
+
+  const failedAt = result.error && result.error.offset;
+  if (offset === null && result.error && (failedAt < view.start || failedAt >= view.end)) {
+    // A few rows before the failure give it some context
+    view = viewAt(failedAt - 8 * ROW_BYTES, buffer.length);
+    result = inspectBuffer(buffer, codecId, view);
+  }
+
+  return {
+    size: buffer.length,
+    ...result,
+    view: { start: view.start, end: view.end, bytes: Array.from(buffer.subarray(view.start, view.end)) },
+  };
+}
+
+module.exports = {
+  MAX_INSPECT_BYTES,
+  VIEW_BYTES,
+  inspectFile,
+};
@@ -1,118 +1,475 @@
 // File: server/algorithms/lz77.js
 
-function compressLZ77(inputBuffer) {
-  const input = inputBuffer.toString("binary");
-  const windowSize = 2048;
-  const lookaheadSize = 32;
+const {
+  InvalidFormatError,
+  TruncatedError,
+  CorruptStreamError,
+  InvalidParameterError,
+  FileTooLargeError,
+  atOffset,
+} = require("./errors");
+const { DEFAULT_BLOCK_SIZE, createBlockCompressStream, createBlockDecompressStream } = require("./stream");
+const { registerCodec } = require("./registry");
+const { hex } = require("./hex");
 
-  const output = [];
-  let i = 0;
+// Binary token format (version 1):
+// header  [magic "LZB" x3][version][window_size x4][lookahead_size x2][min_match][original_size x6]
+// stream  groups of up to 8 tokens, each group preceded by a flag byte (MSB first):
+//         flag 0 -> literal:  [byte]
+//         flag 1 -> match:    [distance x2 or x3][length - min_match]
+// Distances take 2 bytes while the window fits in 16 bits, 3 bytes otherwise.
+const MAGIC = Buffer.from("LZB", "ascii");
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 17;
+
+const DEFAULT_WINDOW_SIZE = 32768;
+const DEFAULT_LOOKAHEAD_SIZE = 258;
+const DEFAULT_MAX_CHAIN_DEPTH = 64;
+const MIN_MATCH = 3; // Shorter matches cost more than the literals they replace
+
+// Traces keep one entry per token, so they are only offered for small inputs
+const MAX_TRACE_BYTES = 4096;
+
+// Match finder hashes the next MIN_MATCH bytes into this many buckets
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+
+function distanceBytesFor(windowSize) {
+  return windowSize > 0xffff ? 3 : 2;
+}
+
+function hashAt(input, position) {
+  const key = (input[position] << 16) | (input[position + 1] << 8) | input[position + 2];
+  return Math.imul(key, 0x9e3779b1) >>> (32 - HASH_BITS);
+}
+
+// Hash-chain match finder: head[] holds the most recent position for each
+// 3-byte hash and prev[] links every position to the previous one with the
+// same hash, so a lookup only visits earlier occurrences of the same prefix.
+function createMatchFinder(input, { windowSize, maxLength, maxChainDepth }) {
+  // A chain slot per position the window can reach; small inputs need no more than their length
+  let chainSize = 1;
+  while (chainSize < Math.min(windowSize, input.length)) chainSize <<= 1;
+  const chainMask = chainSize - 1;
+
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const prev = new Int32Array(chainSize).fill(-1);
+  let inserted = 0; // Every position below this is already in the chains
+
+  function insertUpTo(position) {
+    const last = Math.min(position, input.length - MIN_MATCH + 1);
+    for (; inserted < last; inserted++) {
+      const hash = hashAt(input, inserted);
+      prev[inserted & chainMask] = head[hash];
+      head[hash] = inserted;
+    }
+    inserted = Math.max(inserted, position);
+  }
+
+  function findLongestMatch(position) {
+    insertUpTo(position);
 
-  while (i < input.length) {
     let matchLength = 0,
       matchDistance = 0;
 
-    const end = Math.min(i + lookaheadSize, input.length);
-    const lookahead = input.substring(i, end);
-    const searchStart = Math.max(0, i - windowSize);
-    const searchBuffer = input.substring(searchStart, i);
-
-    for (let j = 0; j < searchBuffer.length; j++) {
-      let length = 0;
-      while (
-        length < lookahead.length &&
-        searchBuffer[j + length] === lookahead[length]
-      ) {
-        length++;
+    const limit = Math.min(maxLength, input.length - position);
+    if (limit < MIN_MATCH) {
+      return { length: 0, distance: 0 };
+    }
+
+    let candidate = head[hashAt(input, position)];
+    let depth = 0;
+
+    while (candidate >= 0 && position - candidate <= windowSize && depth < maxChainDepth) {
+      // Cheap rejection: a longer match must also agree on its last byte
+      if (input[candidate + matchLength] === input[position + matchLength]) {
+        let length = 0;
+        // Matches may run into the lookahead buffer; the decoder copies byte by byte
+        while (length < limit && input[candidate + length] === input[position + length]) {
+          length++;
+        }
+        if (length > matchLength) {
+          matchLength = length;
+          matchDistance = position - candidate;
+          if (length === limit) break;
+        }
       }
-      if (length > matchLength) {
-        matchLength = length;
-        matchDistance = searchBuffer.length - j;
+
+      const next = prev[candidate & chainMask];
+      // Ring slots get reused; a link that does not go backwards is stale
+      if (next >= candidate) break;
+      candidate = next;
+      depth++;
+    }
+
+    return { length: matchLength, distance: matchDistance };
+  }
+
+  return { findLongestMatch };
+}
+
+// Greedy parse with optional one-step lazy matching: before committing to a
+// match, check whether starting one byte later gives a longer one. Literals
+// emitted for that reason get `deferred` set.
+function parseTokens(input, options, emit) {
+  const finder = createMatchFinder(input, options);
+  const minLength = options.minLength || MIN_MATCH;
+  let i = 0;
+  let match = finder.findLongestMatch(0);
+
+  while (i < input.length) {
+    if (match.length < minLength) {
+      emit.literal(input[i]);
+      i++;
+      match = finder.findLongestMatch(i);
+      continue;
+    }
+
+    if (options.lazy && match.length < options.maxLength && i + 1 < input.length) {
+      const next = finder.findLongestMatch(i + 1);
+      if (next.length > match.length) {
+        emit.literal(input[i], true);
+        i++;
+        match = next;
+        continue;
       }
     }
 
-    const nextChar = input[i + matchLength] || "";
-    output.push(`<${matchDistance},${matchLength},${nextChar}>`);
-    i += matchLength + 1;
+    emit.match(match.distance, match.length);
+    i += match.length;
+    match = finder.findLongestMatch(i);
+  }
+}
+
+// Passing an array as options.trace records every token for teaching views:
+// where it starts, the search window and lookahead bounds, the match chosen (or
+// the literal), the byte after it, and where its bytes land in the token stream.
+function compressLZ77(inputBuffer, options = {}) {
+  const input = Buffer.isBuffer(inputBuffer) ? inputBuffer : Buffer.from(inputBuffer);
+  const windowSize = options.windowSize || DEFAULT_WINDOW_SIZE;
+  const lookaheadSize = options.lookaheadSize || DEFAULT_LOOKAHEAD_SIZE;
+  const maxChainDepth = options.maxChainDepth || DEFAULT_MAX_CHAIN_DEPTH;
+  const lazy = options.lazy !== false;
+
+  if (windowSize < 1 || windowSize > 0xffffff) {
+    throw new Error("LZ77 window size must be between 1 and 16777215 bytes");
+  }
+
+  if (lookaheadSize < MIN_MATCH || lookaheadSize > MIN_MATCH + 255) {
+    throw new Error(`LZ77 lookahead size must be between ${MIN_MATCH} and ${MIN_MATCH + 255}`);
+  }
+
+  const distanceBytes = distanceBytesFor(windowSize);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header[3] = FORMAT_VERSION;
+  header.writeUInt32BE(windowSize, 4);
+  header.writeUInt16BE(lookaheadSize, 8);
+  header[10] = MIN_MATCH;
+  header.writeUIntBE(input.length, 11, 6);
+
+  // Worst case: every token is a literal, plus one flag byte per 8 tokens
+  const output = Buffer.alloc(input.length + Math.ceil(input.length / 8));
+  let out = 0;
+  let flagPosition = 0;
+  let tokenCount = 0;
+
+  function startToken() {
+    if (tokenCount % 8 === 0) {
+      flagPosition = out++;
+      output[flagPosition] = 0;
+    }
+  }
+
+  // A match must not take more bytes than the literals it replaces
+  const minLength = Math.max(MIN_MATCH, distanceBytes + 1);
+
+  const trace = options.trace || null;
+  let position = 0;
+
+  function record(entry, tokenStart) {
+    trace.push({
+      index: trace.length,
+      position,
+      windowStart: Math.max(0, position - windowSize),
+      lookaheadEnd: Math.min(input.length, position + lookaheadSize),
+      ...entry,
+      nextByte: position + entry.length < input.length ? input[position + entry.length] : null,
+      // Offsets are into the token stream after the header; a flag byte opens every group of 8
+      flagByte: tokenCount % 8 === 1 ? flagPosition : null,
+      outputOffset: tokenStart,
+      outputLength: out - tokenStart,
+    });
   }
 
-  return Buffer.from(output.join(""), "binary");
+  parseTokens(input, { windowSize, maxLength: lookaheadSize, maxChainDepth, lazy, minLength }, {
+    literal(byte, deferred = false) {
+      startToken();
+      const tokenStart = out;
+      output[out++] = byte;
+      tokenCount++;
+      if (trace) record({ type: "literal", literal: byte, distance: 0, length: 1, deferred }, tokenStart);
+      position++;
+    },
+    match(distance, length) {
+      startToken();
+      const tokenStart = out;
+      output[flagPosition] |= 0x80 >> (tokenCount % 8);
+      output.writeUIntBE(distance, out, distanceBytes);
+      out += distanceBytes;
+      output[out++] = length - MIN_MATCH;
+      tokenCount++;
+      if (trace) record({ type: "match", literal: null, distance, length, deferred: false }, tokenStart);
+      position += length;
+    },
+  });
+
+  return Buffer.concat([header, output.subarray(0, out)]);
+}
+
+// Compresses a small input and returns every token alongside the encoded bytes
+function traceLZ77(input, params = {}) {
+  if (input.length === 0) {
+    throw new InvalidParameterError("input", "Enter some text or choose a file to trace.");
+  }
+  if (input.length > MAX_TRACE_BYTES) {
+    throw new FileTooLargeError(
+      `Traces are limited to ${MAX_TRACE_BYTES} bytes; this input has ${input.length} bytes.`
+    );
+  }
+
+  const tokens = [];
+  const compressed = compressLZ77(input, { ...params, trace: tokens });
+  return {
+    header: compressed.subarray(0, HEADER_SIZE),
+    stream: compressed.subarray(HEADER_SIZE),
+    tokens,
+  };
+}
+
+function isBinaryLZ77File(buffer) {
+  return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
 }
 
-function decompressLZ77(compressedBuffer) {
-  // Check if this is actually an LZ77-compressed file or an original file
-  const isLZ77File = isValidLZ77File(compressedBuffer);
-  
-  if (!isLZ77File) {
-    // This appears to be an original file, return as-is to show original statistics
+function decompressLZ77(compressedBuffer, { strict = true } = {}) {
+  // Binary token streams are recognised by their magic number
+  if (isBinaryLZ77File(compressedBuffer)) {
+    return performActualDecompression(compressedBuffer, strict);
+  }
+
+  // Older files used the textual <distance,length,char> encoding
+  if (strict) {
+    // Throws a typed error describing why the file is not valid LZ77 data
+    validateLZ77File(compressedBuffer);
+  } else if (!isValidLZ77File(compressedBuffer)) {
+    // Lenient mode: hand back files that are not LZ77 data unchanged
     return compressedBuffer;
   }
 
-  // This is a real LZ77-compressed file - proceed with actual decompression
-  return performActualDecompression(compressedBuffer);
+  return performLegacyDecompression(compressedBuffer);
 }
 
-function isValidLZ77File(buffer) {
-  try {
-    const compressed = buffer.toString("binary");
-    
-    // Check if the content follows LZ77 pattern with <distance,length,char> format
-    const pattern = /<([0-9]+),([0-9]+),([^>]?)>/g;
-    let match;
-    let matchCount = 0;
-    let totalLength = 0;
-    
-    // Test if we can find valid LZ77 patterns
-    while ((match = pattern.exec(compressed)) !== null) {
-      matchCount++;
-      totalLength += match[0].length;
-      
-      // Basic validation of distance and length values
-      const distance = parseInt(match[1], 10);
-      const length = parseInt(match[2], 10);
-      
-      // Reasonable bounds check
-      if (distance < 0 || distance > 2048 || length < 0 || length > 32) {
-        return false;
-      }
-      
-      // If we found some matches, it's likely an LZ77 file
-      if (matchCount >= 2) {
-        break;
-      }
+function readBinaryHeader(buffer) {
+  if (buffer.length < HEADER_SIZE) {
+    throw new TruncatedError(`LZ77 header needs ${HEADER_SIZE} bytes, file has ${buffer.length}.`);
+  }
+
+  const version = buffer[3];
+  if (version !== FORMAT_VERSION) {
+    throw atOffset(new InvalidFormatError(`Unsupported LZ77 format version ${version}.`), 3);
+  }
+
+  const windowSize = buffer.readUInt32BE(4);
+  const lookaheadSize = buffer.readUInt16BE(8);
+  const minMatch = buffer[10];
+  const originalSize = buffer.readUIntBE(11, 6);
+
+  if (windowSize === 0 || windowSize > 0xffffff || minMatch === 0 || lookaheadSize < minMatch) {
+    throw atOffset(
+      new InvalidFormatError(
+        `Invalid LZ77 parameters: window ${windowSize}, lookahead ${lookaheadSize}, minimum match ${minMatch}.`
+      ),
+      4
+    );
+  }
+
+  return { windowSize, lookaheadSize, minMatch, originalSize };
+}
+
+// visit(type, start, end, token), if given, sees every flag byte, literal and match
+// with its offsets in the file, for the hex inspector
+function performActualDecompression(buffer, strict = true, visit = null) {
+  const { windowSize, lookaheadSize, minMatch, originalSize } = readBinaryHeader(buffer);
+  const distanceBytes = distanceBytesFor(windowSize);
+  const stream = buffer.subarray(HEADER_SIZE);
+
+  // Each match token needs at least distanceBytes + 1 bytes; reject sizes no stream could produce
+  if (originalSize > stream.length * lookaheadSize) {
+    throw atOffset(
+      new CorruptStreamError(`LZ77 header claims ${originalSize} bytes, more than the stream can encode.`),
+      11
+    );
+  }
+
+  const output = Buffer.alloc(originalSize);
+  let out = 0;
+  let position = 0;
+  let flags = 0;
+  let tokenCount = 0;
+
+  while (out < originalSize) {
+    if (tokenCount % 8 === 0) {
+      if (position >= stream.length) break;
+      flags = stream[position++];
+      if (visit) visit("flag", HEADER_SIZE + position - 1, HEADER_SIZE + position, { flags });
+    }
+
+    const isMatch = (flags & (0x80 >> (tokenCount % 8))) !== 0;
+    tokenCount++;
+
+    if (!isMatch) {
+      if (position >= stream.length) break;
+      if (visit) visit("literal", HEADER_SIZE + position, HEADER_SIZE + position + 1, { byte: stream[position], out });
+      output[out++] = stream[position++];
+      continue;
     }
-    
-    // If we found valid LZ77 patterns and they cover a reasonable portion of the file
-    if (matchCount > 0 && totalLength > compressed.length * 0.1) {
-      return true;
+
+    if (position + distanceBytes + 1 > stream.length) {
+      throw atOffset(
+        new TruncatedError(`Incomplete LZ77 match token at byte ${HEADER_SIZE + position}.`),
+        HEADER_SIZE + position
+      );
     }
-    
-    return false;
+
+    const distance = stream.readUIntBE(position, distanceBytes);
+    const length = stream[position + distanceBytes] + minMatch;
+    const tokenStart = HEADER_SIZE + position;
+    position += distanceBytes + 1;
+
+    if (distance === 0 || distance > out || distance > windowSize) {
+      throw atOffset(new CorruptStreamError(`Invalid LZ77 distance: ${distance}, output length: ${out}`), tokenStart);
+    }
+
+    if (length > lookaheadSize || out + length > originalSize) {
+      throw atOffset(
+        new CorruptStreamError(`Invalid LZ77 match length ${length} at output byte ${out}`),
+        tokenStart + distanceBytes
+      );
+    }
+
+    if (visit) visit("match", tokenStart, HEADER_SIZE + position, { distance, length, out });
+
+    // Byte-by-byte copy so overlapping matches repeat correctly
+    for (let k = 0; k < length; k++) {
+      output[out] = output[out - distance];
+      out++;
+    }
+  }
+
+  if (out !== originalSize) {
+    if (strict) {
+      throw new TruncatedError(`LZ77 stream ended after ${out} of ${originalSize} bytes.`);
+    }
+    console.warn(`Warning: Expected ${originalSize} bytes, got ${out} bytes`);
+    return output.subarray(0, out);
+  }
+
+  if (strict && position < stream.length) {
+    throw atOffset(
+      new CorruptStreamError(`Unexpected ${stream.length - position} trailing bytes after LZ77 stream.`),
+      HEADER_SIZE + position
+    );
+  }
+
+  return output;
+}
+
+// Legacy tokens are <distance,length,char>, where char is any single byte, ">" included,
+// or nothing in the last token when the match ran to the end of the input. They are
+// read by position, since a pattern cannot tell a ">" literal from the closing bracket.
+// Returns null when no well-formed token starts at offset.
+function readLegacyToken(text, offset) {
+  const readNumber = (start) => {
+    let end = start;
+    while (end < text.length && text[end] >= "0" && text[end] <= "9") end++;
+    return end > start ? { value: parseInt(text.slice(start, end), 10), end } : null;
+  };
+
+  if (text[offset] !== "<") return null;
+  const distance = readNumber(offset + 1);
+  if (!distance || text[distance.end] !== ",") return null;
+  const length = readNumber(distance.end + 1);
+  if (!length || text[length.end] !== ",") return null;
+
+  const charAt = length.end + 1;
+  if (text[charAt + 1] === ">") {
+    return { distance: distance.value, length: length.value, char: text[charAt], end: charAt + 2 };
+  }
+  if (text[charAt] === ">") {
+    return { distance: distance.value, length: length.value, char: "", end: charAt + 1 };
+  }
+  return null;
+}
+
+function validateLZ77File(buffer) {
+  const compressed = buffer.toString("binary");
+
+  if (compressed.length === 0) {
+    throw new InvalidFormatError("Empty input is not an LZ77-compressed file.");
+  }
+
+  // Tokens of the form <distance,length,char> must cover the whole file
+  let offset = 0;
+  while (offset < compressed.length) {
+    const token = readLegacyToken(compressed, offset);
+    if (token === null) {
+      throw atOffset(new InvalidFormatError(`Expected an LZ77 <distance,length,char> token at byte ${offset}.`), offset);
+    }
+
+    // Basic validation of distance and length values
+    const { distance, length } = token;
+
+    // Reasonable bounds check
+    if (distance > 2048 || length > 32) {
+      throw atOffset(
+        new CorruptStreamError(`LZ77 token at byte ${offset} is out of range: distance ${distance}, length ${length}.`),
+        offset
+      );
+    }
+    offset = token.end;
+  }
+}
+
+function isValidLZ77File(buffer) {
+  try {
+    validateLZ77File(buffer);
+    return true;
   } catch (error) {
     return false;
   }
 }
 
-function performActualDecompression(compressedBuffer) {
+function performLegacyDecompression(compressedBuffer) {
   const compressed = compressedBuffer.toString("binary");
   const output = [];
-  const pattern = /<([0-9]+),([0-9]+),([^>]?)>/g;
-  let match;
+  let offset = 0;
+  let token;
 
-  while ((match = pattern.exec(compressed)) !== null) {
-    const distance = parseInt(match[1], 10);
-    const length = parseInt(match[2], 10);
-    const char = match[3];
+  // Callers validate first, so the tokens cover the whole file
+  while ((token = readLegacyToken(compressed, offset)) !== null) {
+    const { distance, length, char } = token;
+    offset = token.end;
 
     // Validate distance
     if (distance > output.length) {
-      throw new Error(`Invalid LZ77 distance: ${distance}, output length: ${output.length}`);
+      throw new CorruptStreamError(`Invalid LZ77 distance: ${distance}, output length: ${output.length}`);
     }
 
     const start = output.length - distance;
     for (let i = 0; i < length; i++) {
       if (start + i < 0 || start + i >= output.length) {
-        throw new Error("LZ77 reference out of bounds");
+        throw new CorruptStreamError("LZ77 reference out of bounds");
       }
       output.push(output[start + i]);
     }
@@ -122,7 +479,117 @@ function performActualDecompression(compressedBuffer) {
   return Buffer.from(output.join(""), "binary");
 }
 
+// Labels the header, flag bytes and tokens for the hex inspector by running the
+// decoder with a visitor
+function inspectLZ77(buffer, scope) {
+  if (!isBinaryLZ77File(buffer)) {
+    // Older textual files are checked token by token but labelled as a whole
+    scope.add("payload", 0, buffer.length, "Textual tokens", "<distance,length,char> tokens from before the binary format");
+    scope.check(0, () => validateLZ77File(buffer));
+    const output = scope.check(0, () => performLegacyDecompression(buffer));
+    return { format: "LZ77 (legacy text tokens)", originalSize: output.length };
+  }
+
+  scope.add("header", 0, 3, "Magic", '"LZB": binary LZ77 tokens');
+  if (buffer.length >= HEADER_SIZE) {
+    scope.add("header", 3, 4, "Format version", `Version ${buffer[3]}`);
+    scope.add("header", 4, 8, "Window size", `Matches reach up to ${buffer.readUInt32BE(4)} bytes back`);
+    scope.add("header", 8, 10, "Lookahead size", `Matches are at most ${buffer.readUInt16BE(8)} bytes long`);
+    scope.add("header", 10, 11, "Minimum match", `Match lengths are stored minus ${buffer[10]}`);
+    scope.add("header", 11, 17, "Original size", `${buffer.readUIntBE(11, 6)} bytes`);
+  }
+  const { originalSize } = scope.check(HEADER_SIZE, () => readBinaryHeader(buffer));
+
+  scope.check(HEADER_SIZE, () =>
+    performActualDecompression(buffer, true, (type, start, end, token) => {
+      if (type === "flag") {
+        const bits = token.flags.toString(2).padStart(8, "0");
+        scope.add("flag", start, end, "Flag byte", `${bits}: 1 marks a match, 0 a literal, for the next 8 tokens`);
+      } else if (type === "literal") {
+        scope.add("literal", start, end, "Literal", `${hex(token.byte)} → output byte ${token.out}`);
+      } else {
+        scope.add(
+          "match",
+          start,
+          end,
+          "Match",
+          `Copy ${token.length} bytes from ${token.distance} back → output bytes ${token.out}-${token.out + token.length - 1}`
+        );
+      }
+    })
+  );
+  return { format: "LZ77 binary tokens", originalSize };
+}
+
+// Streaming variants: matches never reach back into a previous block
+function createLZ77CompressStream(options = {}) {
+  return createBlockCompressStream((block) => compressLZ77(block, options), options);
+}
+
+function createLZ77DecompressStream(params, { strict = true } = {}) {
+  return createBlockDecompressStream((block) => decompressLZ77(block, { strict }), { strict });
+}
+
+registerCodec({
+  id: "lz77",
+  name: "LZ77",
+  description: "Dictionary-based compression. Good general-purpose algorithm.",
+  bestFor: "Binary/Mixed Files",
+  typicalRatio: "~30-70%",
+  capabilities: { streaming: true },
+  // Window and lookahead are also written to the LZ77 header; chain depth and
+  // lazy matching only affect how hard the encoder searches
+  params: [
+    {
+      name: "windowSize",
+      label: "Window size",
+      type: "integer",
+      min: 256,
+      // Blocks are compressed independently, so a window beyond one block finds nothing more
+      max: DEFAULT_BLOCK_SIZE,
+      default: DEFAULT_WINDOW_SIZE,
+      description: "How far back (in bytes) a match may reach. Larger finds more matches but uses more memory.",
+    },
+    {
+      name: "lookaheadSize",
+      label: "Lookahead size",
+      type: "integer",
+      min: MIN_MATCH,
+      max: MIN_MATCH + 255,
+      default: DEFAULT_LOOKAHEAD_SIZE,
+      description: "Longest match that can be encoded in one token.",
+    },
+    {
+      name: "maxChainDepth",
+      label: "Search depth",
+      type: "integer",
+      min: 1,
+      max: 4096,
+      default: DEFAULT_MAX_CHAIN_DEPTH,
+      description: "Candidates examined per position. Higher is slower but can find longer matches.",
+    },
+    {
+      name: "lazy",
+      label: "Lazy matching",
+      type: "boolean",
+      default: true,
+      description: "Check whether a match starting one byte later is longer before committing.",
+    },
+  ],
+  compress: (buffer, params) => compressLZ77(buffer, params),
+  decompress: (buffer, options) => decompressLZ77(buffer, options),
+  inspect: (buffer, scope) => inspectLZ77(buffer, scope),
+  createCompressStream: createLZ77CompressStream,
+  createDecompressStream: createLZ77DecompressStream,
+});
+
 module.exports = {
+  MIN_MATCH,
+  MAX_TRACE_BYTES,
+  parseTokens,
   compressLZ77,
   decompressLZ77,
+  traceLZ77,
+  createLZ77CompressStream,
+  createLZ77DecompressStream,
 };
\ No newline at end of file
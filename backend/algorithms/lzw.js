@@ -0,0 +1,307 @@
+// File: server/algorithms/lzw.js
+// LZW dictionary coder with variable-width codes and a clear code, as used by GIF and TIFF
+
+const {
+  InvalidFormatError,
+  TruncatedError,
+  SizeMismatchError,
+  CorruptStreamError,
+} = require("./errors");
+const { BitWriter, BitReader } = require("./bitio");
+const { createBlockCompressStream, createBlockDecompressStream } = require("./stream");
+const { registerCodec } = require("./registry");
+
+// Binary format (version 1):
+// header  [magic "LZW" x3][version][max_code_bits][original_size x6]
+// stream  MSB-first codes, MIN_CODE_BITS wide at first and one bit wider each
+//         time the dictionary outgrows the current width, up to max_code_bits.
+//         CLEAR_CODE resets the dictionary, END_CODE terminates the stream.
+const MAGIC = Buffer.from("LZW", "ascii");
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 11;
+
+const MIN_CODE_BITS = 9;
+const MAX_CODE_BITS = 16;
+const DEFAULT_MAX_CODE_BITS = 12; // GIF and TIFF both stop at 12 bits
+
+const CLEAR_CODE = 256;
+const END_CODE = 257;
+const FIRST_FREE_CODE = 258;
+
+// Narrowest width that can hold every code below nextCode
+function codeWidthFor(nextCode, maxBits) {
+  let width = MIN_CODE_BITS;
+  while (width < maxBits && 1 << width < nextCode) width++;
+  return width;
+}
+
+// Open-addressing table mapping (prefix code, next byte) to a dictionary code
+function createDictionary(maxBits) {
+  const tableBits = maxBits + 1; // Keep the load factor at or below one half
+  const mask = (1 << tableBits) - 1;
+  const keys = new Int32Array(1 << tableBits);
+  const codes = new Int32Array(1 << tableBits);
+
+  function slotFor(key) {
+    let slot = Math.imul(key, 0x9e3779b1) >>> (32 - tableBits);
+    while (keys[slot] !== -1 && keys[slot] !== key) {
+      slot = (slot + 1) & mask;
+    }
+    return slot;
+  }
+
+  return {
+    reset() {
+      keys.fill(-1);
+    },
+    get(prefix, byte) {
+      const slot = slotFor((prefix << 8) | byte);
+      return keys[slot] === -1 ? -1 : codes[slot];
+    },
+    set(prefix, byte, code) {
+      const key = (prefix << 8) | byte;
+      const slot = slotFor(key);
+      keys[slot] = key;
+      codes[slot] = code;
+    },
+  };
+}
+
+function compressLZW(inputBuffer, options = {}) {
+  const input = Buffer.isBuffer(inputBuffer) ? inputBuffer : Buffer.from(inputBuffer);
+  const maxBits = options.maxBits || DEFAULT_MAX_CODE_BITS;
+
+  if (maxBits < MIN_CODE_BITS || maxBits > MAX_CODE_BITS) {
+    throw new Error(`LZW code width must be between ${MIN_CODE_BITS} and ${MAX_CODE_BITS} bits`);
+  }
+
+  const maxCode = 1 << maxBits;
+  const dictionary = createDictionary(maxBits);
+  dictionary.reset();
+
+  const writer = new BitWriter({ initialSize: input.length });
+  let nextCode = FIRST_FREE_CODE;
+  let width = MIN_CODE_BITS;
+
+  if (input.length > 0) {
+    let current = input[0];
+
+    for (let i = 1; i < input.length; i++) {
+      const byte = input[i];
+      const extended = dictionary.get(current, byte);
+      if (extended !== -1) {
+        current = extended;
+        continue;
+      }
+
+      writer.writeBits(current, width);
+      if (nextCode < maxCode) {
+        dictionary.set(current, byte, nextCode++);
+        width = codeWidthFor(nextCode, maxBits);
+      } else {
+        // Dictionary is full: start over so it can adapt to the data that follows
+        writer.writeBits(CLEAR_CODE, width);
+        dictionary.reset();
+        nextCode = FIRST_FREE_CODE;
+        width = MIN_CODE_BITS;
+      }
+      current = byte;
+    }
+
+    writer.writeBits(current, width);
+    // The decoder adds a dictionary entry after reading that last code, so it
+    // expects END_CODE at the width that entry implies
+    if (nextCode < maxCode) {
+      width = codeWidthFor(nextCode + 1, maxBits);
+    }
+  }
+
+  writer.writeBits(END_CODE, width);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header[3] = FORMAT_VERSION;
+  header[4] = maxBits;
+  header.writeUIntBE(input.length, 5, 6);
+
+  return Buffer.concat([header, writer.toBuffer()]);
+}
+
+function decompressLZW(buffer, { strict = true } = {}) {
+  if (strict) {
+    // Throws a typed error describing why the file is not valid LZW data
+    readLZWHeader(buffer);
+  } else if (!isValidLZWFile(buffer)) {
+    // Lenient mode: hand back files that are not LZW data unchanged
+    return buffer;
+  }
+
+  return performActualDecompression(buffer, strict);
+}
+
+function readLZWHeader(buffer) {
+  if (buffer.length < MAGIC.length || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new InvalidFormatError("Missing LZW magic bytes; this is not an LZW-compressed file.");
+  }
+
+  if (buffer.length < HEADER_SIZE) {
+    throw new TruncatedError(`LZW header needs ${HEADER_SIZE} bytes, file has ${buffer.length}.`);
+  }
+
+  const version = buffer[3];
+  if (version !== FORMAT_VERSION) {
+    throw new InvalidFormatError(`Unsupported LZW format version ${version}.`);
+  }
+
+  const maxBits = buffer[4];
+  if (maxBits < MIN_CODE_BITS || maxBits > MAX_CODE_BITS) {
+    throw new InvalidFormatError(`Invalid LZW code width ${maxBits}.`);
+  }
+
+  return { maxBits, originalSize: buffer.readUIntBE(5, 6) };
+}
+
+function isValidLZWFile(buffer) {
+  try {
+    readLZWHeader(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function performActualDecompression(buffer, strict = true) {
+  const { maxBits, originalSize } = readLZWHeader(buffer);
+  const maxCode = 1 << maxBits;
+  const reader = new BitReader(buffer.subarray(HEADER_SIZE));
+
+  // A code expands to at most one byte more than the code before it, and never
+  // to more than the dictionary can hold; reject sizes no stream could produce
+  const codeCount = Math.floor(reader.remainingBits / MIN_CODE_BITS);
+  if (originalSize > codeCount * Math.min(codeCount, maxCode)) {
+    throw new CorruptStreamError(`LZW header claims ${originalSize} bytes, more than the stream can encode.`);
+  }
+
+  // Entry i is the string for prefix[i] followed by suffix[i]
+  const prefix = new Int32Array(maxCode);
+  const suffix = new Uint8Array(maxCode);
+  const firstByte = new Uint8Array(maxCode);
+  const lengths = new Int32Array(maxCode);
+  for (let code = 0; code < 256; code++) {
+    suffix[code] = code;
+    firstByte[code] = code;
+    lengths[code] = 1;
+  }
+
+  const output = Buffer.alloc(originalSize);
+  let out = 0;
+  let nextCode = FIRST_FREE_CODE;
+  let previous = -1; // No previous code right after a reset
+  let ended = false;
+
+  while (!ended) {
+    // The decoder adds each entry one code later than the encoder did
+    const width = codeWidthFor(previous === -1 ? nextCode : nextCode + 1, maxBits);
+    if (reader.remainingBits < width) {
+      throw new TruncatedError("LZW stream ends before its end code.");
+    }
+
+    const position = reader.position;
+    const code = reader.readBits(width);
+
+    if (code === CLEAR_CODE) {
+      nextCode = FIRST_FREE_CODE;
+      previous = -1;
+      continue;
+    }
+    if (code === END_CODE) {
+      ended = true;
+      continue;
+    }
+
+    if (previous === -1) {
+      if (code > 0xff) {
+        throw new CorruptStreamError(`LZW stream starts with undefined code ${code} at bit ${position}.`);
+      }
+    } else {
+      if (code > nextCode || (code === nextCode && nextCode >= maxCode)) {
+        throw new CorruptStreamError(`Undefined LZW code ${code} at bit ${position}.`);
+      }
+
+      if (nextCode < maxCode) {
+        // When code is the entry being defined right now (the "KwKwK" case),
+        // its first byte is the first byte of the previous string
+        prefix[nextCode] = previous;
+        suffix[nextCode] = code === nextCode ? firstByte[previous] : firstByte[code];
+        firstByte[nextCode] = firstByte[previous];
+        lengths[nextCode] = lengths[previous] + 1;
+        nextCode++;
+      }
+    }
+
+    const length = lengths[code];
+    if (out + length > originalSize) {
+      throw new CorruptStreamError(`LZW stream decodes to more than the ${originalSize} bytes in its header.`);
+    }
+
+    // Walk the prefix chain, filling the string in from its last byte
+    let entry = code;
+    for (let i = out + length - 1; i >= out; i--) {
+      output[i] = suffix[entry];
+      entry = prefix[entry];
+    }
+    out += length;
+    previous = code;
+  }
+
+  // Validate output size
+  if (out !== originalSize) {
+    if (strict) {
+      throw new SizeMismatchError(originalSize, out);
+    }
+    console.warn(`Warning: Expected ${originalSize} bytes, got ${out} bytes`);
+    return output.subarray(0, out);
+  }
+
+  return output;
+}
+
+// Streaming variants: every block starts with a fresh dictionary
+function createLZWCompressStream(options = {}) {
+  return createBlockCompressStream((block) => compressLZW(block, options), options);
+}
+
+function createLZWDecompressStream(params, { strict = true } = {}) {
+  return createBlockDecompressStream((block) => decompressLZW(block, { strict }), { strict });
+}
+
+registerCodec({
+  id: "lzw",
+  name: "LZW",
+  description: "Builds a dictionary of repeated strings on the fly. The classic coder behind GIF and TIFF.",
+  bestFor: "Text/Indexed Images",
+  typicalRatio: "~40-60%",
+  capabilities: { streaming: true },
+  params: [
+    {
+      name: "maxBits",
+      label: "Maximum code width",
+      type: "integer",
+      min: MIN_CODE_BITS,
+      max: MAX_CODE_BITS,
+      default: DEFAULT_MAX_CODE_BITS,
+      description: "Codes grow from 9 bits up to this width; the dictionary is cleared once it is full.",
+    },
+  ],
+  compress: (buffer, params) => compressLZW(buffer, params),
+  decompress: (buffer, options) => decompressLZW(buffer, options),
+  createCompressStream: createLZWCompressStream,
+  createDecompressStream: createLZWDecompressStream,
+});
+
+module.exports = {
+  compressLZW,
+  decompressLZW,
+  createLZWCompressStream,
+  createLZWDecompressStream,
+};
@@ -0,0 +1,35 @@
+// File: server/algorithms/mtf.js
+// Move-to-front transform: recently seen bytes get small indices, turning BWT clusters into runs of zeros
+
+function mtfEncode(input) {
+  const list = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) list[i] = i;
+
+  const output = Buffer.alloc(input.length);
+  for (let i = 0; i < input.length; i++) {
+    const byte = input[i];
+    let index = 0;
+    while (list[index] !== byte) index++;
+    output[i] = index;
+    list.copyWithin(1, 0, index);
+    list[0] = byte;
+  }
+  return output;
+}
+
+function mtfDecode(input) {
+  const list = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) list[i] = i;
+
+  const output = Buffer.alloc(input.length);
+  for (let i = 0; i < input.length; i++) {
+    const index = input[i];
+    const byte = list[index];
+    output[i] = byte;
+    list.copyWithin(1, 0, index);
+    list[0] = byte;
+  }
+  return output;
+}
+
+module.exports = { mtfEncode, mtfDecode };
@@ -0,0 +1,93 @@
+// File: server/algorithms/pipeline.js
+// Ordered chains of transforms and codecs: compression runs the stages in order,
+// decompression undoes them in reverse
+
+const { InvalidParameterError, InvalidFormatError } = require("./errors");
+const { getCodec, resolveParams } = require("./registry");
+const { getTransform } = require("./transforms");
+const { createBlockCompressStream, createBlockDecompressStream } = require("./stream");
+
+const MAX_STAGES = 8;
+
+function findStage(id) {
+  const transform = getTransform(id);
+  if (transform) return { kind: "transform", stage: transform };
+  const codec = getCodec(id);
+  if (codec) return { kind: "codec", stage: codec };
+  return null;
+}
+
+// Validates a chain of { id, params } entries and fills in every stage's defaults
+function resolvePipeline(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new InvalidParameterError("pipeline", "A pipeline needs at least one stage.");
+  }
+  if (stages.length > MAX_STAGES) {
+    throw new InvalidParameterError("pipeline", `A pipeline can have at most ${MAX_STAGES} stages.`);
+  }
+
+  return stages.map((entry, index) => {
+    const id = entry && entry.id;
+    const found = findStage(id);
+    if (!found) {
+      throw new InvalidParameterError("pipeline", `Stage ${index + 1} is unknown: "${id}".`);
+    }
+    return { id, params: resolveParams(found.stage, entry.params || {}) };
+  });
+}
+
+// Same validation for a chain read back from a container header, where a bad
+// chain means a damaged file rather than a bad request
+function restorePipeline(stages) {
+  try {
+    return resolvePipeline(stages);
+  } catch (error) {
+    if (error instanceof InvalidParameterError) {
+      throw new InvalidFormatError(`Pipeline recorded in the header is invalid: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+function runPipeline(buffer, stages) {
+  return stages.reduce((data, { id, params }) => {
+    const { kind, stage } = findStage(id);
+    return kind === "transform" ? stage.forward(data, params) : stage.compress(data, params);
+  }, buffer);
+}
+
+function undoPipeline(buffer, stages, { strict = true } = {}) {
+  return stages.reduceRight((data, { id, params }) => {
+    const { kind, stage } = findStage(id);
+    return kind === "transform" ? stage.inverse(data, params) : stage.decompress(data, { strict, params });
+  }, buffer);
+}
+
+function describePipeline(stages) {
+  return stages.map(({ id }) => findStage(id).stage.name).join(" → ");
+}
+
+// Codec-shaped wrapper so the routes can treat a pipeline like any registered codec.
+// Every stream frame runs through the whole chain independently.
+function createPipelineCodec(stages) {
+  return {
+    id: "pipeline",
+    name: describePipeline(stages),
+    extension: "pipeline",
+    capabilities: { streaming: true, tunableParams: false, textOnly: false, standardFormat: false },
+    compress: (buffer) => runPipeline(buffer, stages),
+    decompress: (buffer, { strict } = {}) => undoPipeline(buffer, stages, { strict }),
+    createCompressStream: () => createBlockCompressStream((block) => runPipeline(block, stages)),
+    createDecompressStream: (params, { strict = true } = {}) =>
+      createBlockDecompressStream((block) => undoPipeline(block, stages, { strict }), { strict }),
+  };
+}
+
+module.exports = {
+  resolvePipeline,
+  restorePipeline,
+  runPipeline,
+  undoPipeline,
+  describePipeline,
+  createPipelineCodec,
+};
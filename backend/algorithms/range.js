@@ -0,0 +1,245 @@
+// File: server/algorithms/range.js
+// Range coding codec: arithmetic-style entropy coding with a choice of probability model
+
+const {
+  InvalidFormatError,
+  TruncatedError,
+  SizeMismatchError,
+  CorruptStreamError,
+} = require("./errors");
+const {
+  RangeEncoder,
+  RangeDecoder,
+  StaticModel,
+  AdaptiveModel,
+  ContextModel,
+  scaleFrequencies,
+} = require("./rangecoder");
+const { createBlockCompressStream, createBlockDecompressStream } = require("./stream");
+const { registerCodec } = require("./registry");
+
+// Binary format (version 1):
+// header  [magic "RNG" x3][version][model][original_size x6]
+// static  [symbol bitmap x32][frequency x2 for each symbol present in the bitmap]
+// data    range coder output
+const MAGIC = Buffer.from("RNG", "ascii");
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 11;
+const BITMAP_SIZE = 32;
+
+// Model ids are part of the file format - never renumber existing entries
+const MODELS = {
+  static0: 0, // Order-0 frequencies counted up front and sent in the header
+  adaptive0: 1, // Order-0 frequencies learned while coding
+  adaptive1: 2, // Separate adaptive frequencies for each preceding byte
+};
+const DEFAULT_MODEL = "adaptive1";
+
+function getModelName(id) {
+  return Object.keys(MODELS).find((name) => MODELS[name] === id);
+}
+
+function writeFrequencyTable(freqs) {
+  const present = freqs.filter((freq) => freq > 0).length;
+  const table = Buffer.alloc(BITMAP_SIZE + present * 2);
+  let offset = BITMAP_SIZE;
+  for (let symbol = 0; symbol < 256; symbol++) {
+    if (freqs[symbol] > 0) {
+      table[symbol >> 3] |= 0x80 >> (symbol & 7);
+      table.writeUInt16BE(freqs[symbol], offset);
+      offset += 2;
+    }
+  }
+  return table;
+}
+
+function readFrequencyTable(buffer, offset) {
+  if (buffer.length < offset + BITMAP_SIZE) {
+    throw new TruncatedError("Range coder frequency table is truncated.");
+  }
+
+  const freqs = new Array(256).fill(0);
+  let position = offset + BITMAP_SIZE;
+  for (let symbol = 0; symbol < 256; symbol++) {
+    if (buffer[offset + (symbol >> 3)] & (0x80 >> (symbol & 7))) {
+      if (position + 2 > buffer.length) {
+        throw new TruncatedError("Range coder frequency table is truncated.");
+      }
+      freqs[symbol] = buffer.readUInt16BE(position);
+      if (freqs[symbol] === 0) {
+        throw new CorruptStreamError(`Zero frequency for symbol ${symbol} in the range coder table.`);
+      }
+      position += 2;
+    }
+  }
+  return { freqs, end: position };
+}
+
+function compressRange(inputBuffer, options = {}) {
+  const input = Buffer.isBuffer(inputBuffer) ? inputBuffer : Buffer.from(inputBuffer);
+  const modelName = options.model || DEFAULT_MODEL;
+  if (!(modelName in MODELS)) {
+    throw new Error(`Unknown range coder model: ${modelName}`);
+  }
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header[3] = FORMAT_VERSION;
+  header[4] = MODELS[modelName];
+  header.writeUIntBE(input.length, 5, 6);
+
+  let table = Buffer.alloc(0);
+  let model;
+  if (modelName === "static0") {
+    const counts = new Array(256).fill(0);
+    for (const byte of input) counts[byte]++;
+    const freqs = scaleFrequencies(counts);
+    table = writeFrequencyTable(freqs);
+    // Empty input has nothing to code and no model to build
+    model = input.length > 0 ? new StaticModel(freqs) : null;
+  } else {
+    model = modelName === "adaptive0" ? new AdaptiveModel(256) : new ContextModel();
+  }
+
+  const encoder = new RangeEncoder({ initialSize: input.length });
+  for (let i = 0; i < input.length; i++) {
+    model.encode(encoder, input[i]);
+  }
+
+  return Buffer.concat([header, table, encoder.finish()]);
+}
+
+function decompressRange(buffer, { strict = true } = {}) {
+  if (strict) {
+    // Throws a typed error describing why the file is not valid range coder data
+    readRangeHeader(buffer);
+  } else if (!isValidRangeFile(buffer)) {
+    // Lenient mode: hand back files that are not range coder data unchanged
+    return buffer;
+  }
+
+  return performActualDecompression(buffer, strict);
+}
+
+function readRangeHeader(buffer) {
+  if (buffer.length < MAGIC.length || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new InvalidFormatError("Missing range coder magic bytes; this is not a range-coded file.");
+  }
+
+  if (buffer.length < HEADER_SIZE) {
+    throw new TruncatedError(`Range coder header needs ${HEADER_SIZE} bytes, file has ${buffer.length}.`);
+  }
+
+  const version = buffer[3];
+  if (version !== FORMAT_VERSION) {
+    throw new InvalidFormatError(`Unsupported range coder format version ${version}.`);
+  }
+
+  const model = getModelName(buffer[4]);
+  if (!model) {
+    throw new InvalidFormatError(`Unknown range coder model id ${buffer[4]}.`);
+  }
+
+  return { model, originalSize: buffer.readUIntBE(5, 6) };
+}
+
+function isValidRangeFile(buffer) {
+  try {
+    readRangeHeader(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function performActualDecompression(buffer, strict = true) {
+  const { model: modelName, originalSize } = readRangeHeader(buffer);
+
+  let dataOffset = HEADER_SIZE;
+  let model;
+  if (modelName === "static0") {
+    const { freqs, end } = readFrequencyTable(buffer, HEADER_SIZE);
+    dataOffset = end;
+    if (originalSize > 0) {
+      model = new StaticModel(freqs);
+    }
+  } else {
+    model = modelName === "adaptive0" ? new AdaptiveModel(256) : new ContextModel();
+  }
+
+  const data = buffer.subarray(dataOffset);
+
+  // Even the most probable symbol costs a little over 1/65536 of a bit, so a
+  // stream cannot decode to more than this many bytes
+  if (originalSize > (data.length + 1) * 8 * 65536) {
+    throw new CorruptStreamError(`Range coder header claims ${originalSize} bytes, more than the stream can encode.`);
+  }
+
+  const output = Buffer.alloc(originalSize);
+  let out = 0;
+
+  if (originalSize > 0) {
+    const decoder = new RangeDecoder(data);
+    for (; out < originalSize; out++) {
+      output[out] = model.decode(decoder);
+    }
+
+    // The encoder flushes exactly what the decoder reads; leftovers mean a damaged file
+    if (strict && decoder.position !== data.length) {
+      throw new CorruptStreamError(
+        `Range coder stream has ${data.length - decoder.position} unexpected trailing bytes.`
+      );
+    }
+  }
+
+  // Validate output size
+  if (out !== originalSize) {
+    throw new SizeMismatchError(originalSize, out);
+  }
+
+  return output;
+}
+
+// Streaming variants: every block starts with a fresh model
+function createRangeCompressStream(options = {}) {
+  return createBlockCompressStream((block) => compressRange(block, options), options);
+}
+
+function createRangeDecompressStream(params, { strict = true } = {}) {
+  return createBlockDecompressStream((block) => decompressRange(block, { strict }), { strict });
+}
+
+registerCodec({
+  id: "range",
+  name: "Range Coding",
+  description:
+    "Arithmetic-style entropy coder that spends fractional bits per symbol, getting closer to the entropy limit than Huffman.",
+  bestFor: "Skewed Text/Data",
+  typicalRatio: "~35-60%",
+  capabilities: { streaming: true },
+  params: [
+    {
+      name: "model",
+      label: "Probability model",
+      type: "enum",
+      options: [
+        { value: "static0", label: "Static order-0 (counted up front)" },
+        { value: "adaptive0", label: "Adaptive order-0" },
+        { value: "adaptive1", label: "Adaptive order-1 (previous byte as context)" },
+      ],
+      default: DEFAULT_MODEL,
+      description: "How symbol probabilities are estimated. Order-1 learns which bytes tend to follow each other.",
+    },
+  ],
+  compress: (buffer, params) => compressRange(buffer, params),
+  decompress: (buffer, options) => decompressRange(buffer, options),
+  createCompressStream: createRangeCompressStream,
+  createDecompressStream: createRangeDecompressStream,
+});
+
+module.exports = {
+  compressRange,
+  decompressRange,
+  createRangeCompressStream,
+  createRangeDecompressStream,
+};
@@ -0,0 +1,254 @@
+// File: server/algorithms/rangecoder.js
+// Byte-oriented range coder (LZMA-style carry handling) and the frequency models that drive it
+
+const { TruncatedError, CorruptStreamError } = require("./errors");
+
+// The range is renormalised whenever it drops below 2^24, and model totals stay
+// at or below 2^16, so range / total never loses more than 8 bits of precision.
+const TOP = 2 ** 24;
+const MAX_TOTAL = 1 << 16;
+
+class RangeEncoder {
+  constructor({ initialSize = 1024 } = {}) {
+    this.bytes = new Uint8Array(Math.max(16, initialSize));
+    this.length = 0;
+    this.low = 0; // Up to 33 bits; bit 32 is a pending carry
+    this.range = 0xffffffff;
+    // Output is delayed by one byte plus any run of 0xff bytes, since a later
+    // carry can still ripple into them
+    this.cache = 0;
+    this.cacheSize = 1;
+  }
+
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  shiftLow() {
+    if (this.low < 0xff000000 || this.low > 0xffffffff) {
+      const carry = this.low > 0xffffffff ? 1 : 0;
+      let byte = this.cache;
+      do {
+        this.pushByte((byte + carry) & 0xff);
+        byte = 0xff;
+      } while (--this.cacheSize !== 0);
+      this.cache = Math.floor(this.low / TOP) & 0xff;
+    }
+    this.cacheSize++;
+    this.low = (this.low % TOP) * 256;
+  }
+
+  // Narrows the range to [cumFreq, cumFreq + freq) out of total
+  encode(cumFreq, freq, total) {
+    const step = Math.floor(this.range / total);
+    this.low += step * cumFreq;
+    this.range = step * freq;
+    while (this.range < TOP) {
+      this.range *= 256;
+      this.shiftLow();
+    }
+  }
+
+  finish() {
+    for (let i = 0; i < 5; i++) {
+      this.shiftLow();
+    }
+    return Buffer.from(this.bytes.buffer, this.bytes.byteOffset, this.length);
+  }
+}
+
+class RangeDecoder {
+  constructor(source) {
+    this.bytes = source;
+    this.position = 0;
+    this.range = 0xffffffff;
+    this.code = 0;
+    this.step = 1;
+    for (let i = 0; i < 5; i++) {
+      this.code = this.code * 256 + this.nextByte();
+    }
+    if (this.code > 0xffffffff) {
+      throw new CorruptStreamError("Range coder stream has an invalid first byte.");
+    }
+  }
+
+  nextByte() {
+    if (this.position >= this.bytes.length) {
+      throw new TruncatedError("Range coder stream ended early.");
+    }
+    return this.bytes[this.position++];
+  }
+
+  // Returns the frequency slot the next symbol falls into; the caller maps it
+  // to a symbol and then calls consume() with that symbol's interval
+  decodeFreq(total) {
+    this.step = Math.floor(this.range / total);
+    const value = Math.floor(this.code / this.step);
+    if (value >= total) {
+      throw new CorruptStreamError("Range coder value falls outside the model.");
+    }
+    return value;
+  }
+
+  consume(cumFreq, freq) {
+    this.code -= this.step * cumFreq;
+    this.range = this.step * freq;
+    while (this.range < TOP) {
+      this.range *= 256;
+      this.code = this.code * 256 + this.nextByte();
+    }
+  }
+}
+
+// Fixed frequencies known to both sides (sent in the header by the codec).
+// Zero-frequency symbols cannot be coded.
+class StaticModel {
+  constructor(freqs) {
+    this.freqs = Uint32Array.from(freqs);
+    this.cumulative = new Uint32Array(this.freqs.length + 1);
+    for (let i = 0; i < this.freqs.length; i++) {
+      this.cumulative[i + 1] = this.cumulative[i] + this.freqs[i];
+    }
+    this.total = this.cumulative[this.freqs.length];
+    if (this.total === 0 || this.total > MAX_TOTAL) {
+      throw new CorruptStreamError(`Static model total ${this.total} is out of range.`);
+    }
+
+    // Direct slot -> symbol lookup makes decoding a single array access
+    this.symbolAt = new Uint8Array(this.total);
+    for (let i = 0; i < this.freqs.length; i++) {
+      this.symbolAt.fill(i, this.cumulative[i], this.cumulative[i + 1]);
+    }
+  }
+
+  encode(encoder, symbol) {
+    if (this.freqs[symbol] === 0) {
+      throw new Error(`Symbol ${symbol} is missing from the static model`);
+    }
+    encoder.encode(this.cumulative[symbol], this.freqs[symbol], this.total);
+  }
+
+  decode(decoder) {
+    const symbol = this.symbolAt[decoder.decodeFreq(this.total)];
+    decoder.consume(this.cumulative[symbol], this.freqs[symbol]);
+    return symbol;
+  }
+}
+
+// Scales raw counts so they sum to at most `target` while every symbol that
+// occurs keeps a frequency of at least one
+function scaleFrequencies(counts, target = 1 << 15) {
+  let total = 0;
+  for (const count of counts) total += count;
+
+  return counts.map((count) => (count === 0 ? 0 : Math.max(1, Math.floor((count * target) / total))));
+}
+
+// Frequencies kept in a Fenwick tree so cumulative lookups, symbol search and
+// updates are all O(log n). Every symbol starts at 1 and gains INCREMENT each
+// time it is seen; counts are halved when the total would exceed MAX_TOTAL.
+const INCREMENT = 24;
+
+class AdaptiveModel {
+  constructor(symbolCount = 256) {
+    this.size = symbolCount;
+    this.freqs = new Int32Array(symbolCount).fill(1);
+    this.tree = new Int32Array(symbolCount + 1);
+    this.topBit = 1;
+    while (this.topBit * 2 <= symbolCount) this.topBit *= 2;
+    this.rebuild();
+  }
+
+  rebuild() {
+    this.tree.fill(0);
+    this.total = 0;
+    for (let i = 0; i < this.size; i++) {
+      this.total += this.freqs[i];
+      this.tree[i + 1] += this.freqs[i];
+      const parent = i + 1 + ((i + 1) & -(i + 1));
+      if (parent <= this.size) this.tree[parent] += this.tree[i + 1];
+    }
+  }
+
+  // Sum of the frequencies of all symbols below `symbol`
+  cumulativeFreq(symbol) {
+    let sum = 0;
+    for (let i = symbol; i > 0; i -= i & -i) sum += this.tree[i];
+    return sum;
+  }
+
+  // Symbol whose interval contains `value`, by descending the implicit tree
+  findSymbol(value) {
+    let position = 0;
+    for (let step = this.topBit; step > 0; step >>= 1) {
+      const next = position + step;
+      if (next <= this.size && this.tree[next] <= value) {
+        position = next;
+        value -= this.tree[next];
+      }
+    }
+    return position;
+  }
+
+  update(symbol) {
+    if (this.total + INCREMENT > MAX_TOTAL) {
+      for (let i = 0; i < this.size; i++) {
+        this.freqs[i] = (this.freqs[i] + 1) >> 1;
+      }
+      this.rebuild();
+    }
+    this.freqs[symbol] += INCREMENT;
+    this.total += INCREMENT;
+    for (let i = symbol + 1; i <= this.size; i += i & -i) this.tree[i] += INCREMENT;
+  }
+
+  encode(encoder, symbol) {
+    encoder.encode(this.cumulativeFreq(symbol), this.freqs[symbol], this.total);
+    this.update(symbol);
+  }
+
+  decode(decoder) {
+    const symbol = this.findSymbol(decoder.decodeFreq(this.total));
+    decoder.consume(this.cumulativeFreq(symbol), this.freqs[symbol]);
+    this.update(symbol);
+    return symbol;
+  }
+}
+
+// Order-1 context model: one adaptive model per preceding byte, created on first use
+class ContextModel {
+  constructor() {
+    this.contexts = new Array(256);
+    this.previous = 0;
+  }
+
+  modelFor(context) {
+    return this.contexts[context] || (this.contexts[context] = new AdaptiveModel(256));
+  }
+
+  encode(encoder, symbol) {
+    this.modelFor(this.previous).encode(encoder, symbol);
+    this.previous = symbol;
+  }
+
+  decode(decoder) {
+    const symbol = this.modelFor(this.previous).decode(decoder);
+    this.previous = symbol;
+    return symbol;
+  }
+}
+
+module.exports = {
+  MAX_TOTAL,
+  RangeEncoder,
+  RangeDecoder,
+  StaticModel,
+  AdaptiveModel,
+  ContextModel,
+  scaleFrequencies,
+};
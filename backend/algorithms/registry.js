@@ -0,0 +1,158 @@
+// File: server/algorithms/registry.js
+// Codec registry: each algorithm module registers itself here and the routes dispatch by id
+
+const { InvalidParameterError } = require("./errors");
+
+const codecs = new Map();
+
+const DEFAULT_CAPABILITIES = {
+  streaming: false, // Provides createCompressStream/createDecompressStream
+  tunableParams: false, // Accepts per-upload parameters
+  textOnly: false, // Only makes sense for text input
+  standardFormat: false, // Output is a standard file format, written without the DCPK container
+  baseline: false, // Library implementation kept for comparison rather than the project's own code
+  explainable: false, // Provides explain(buffer, params) describing how it encodes the input
+  inspectable: false, // Provides inspect(buffer, scope, params) labelling the bytes of its output
+};
+
+const PARAM_TYPES = ["integer", "boolean", "enum"];
+
+// A codec is { id, name, description, bestFor, typicalRatio, extension, capabilities, params,
+// compress(buffer, params) -> Buffer, decompress(buffer, { strict, params }) -> Buffer }
+// where extension (default: the id) is appended to compressed filenames,
+// plus createCompressStream(params) / createDecompressStream(params, { strict }) when
+// capabilities.streaming is set, and optionally explain(buffer, params) -> JSON-ready
+// object for teaching views and inspect(buffer, scope, params) -> { format, originalSize }
+// for the hex inspector (see inspect.js for the scope). params is a list of parameter schemas:
+// { name, label, type: "integer" | "boolean" | "enum", min, max, options, default, description }
+// where options (enum only) is a list of { value, label }
+// and an optional checkParams(params) hook validates combinations of them.
+function registerCodec(codec) {
+  for (const field of ["id", "name", "description"]) {
+    if (typeof codec[field] !== "string" || codec[field] === "") {
+      throw new Error(`Codec registration is missing "${field}"`);
+    }
+  }
+
+  for (const fn of ["compress", "decompress"]) {
+    if (typeof codec[fn] !== "function") {
+      throw new Error(`Codec "${codec.id}" must provide a ${fn} function`);
+    }
+  }
+
+  if (codecs.has(codec.id)) {
+    throw new Error(`Codec "${codec.id}" is already registered`);
+  }
+
+  const params = codec.params || [];
+  for (const param of params) {
+    if (!PARAM_TYPES.includes(param.type)) {
+      throw new Error(`Parameter "${param.name}" of codec "${codec.id}" has unknown type "${param.type}"`);
+    }
+    if (param.type === "enum" && !(param.options || []).some((option) => option.value === param.default)) {
+      throw new Error(`Enum parameter "${param.name}" of codec "${codec.id}" must list its default`);
+    }
+  }
+
+  const capabilities = {
+    ...DEFAULT_CAPABILITIES,
+    ...codec.capabilities,
+    tunableParams: params.length > 0,
+    explainable: typeof codec.explain === "function",
+    inspectable: typeof codec.inspect === "function",
+  };
+  if (
+    capabilities.streaming &&
+    (typeof codec.createCompressStream !== "function" ||
+      typeof codec.createDecompressStream !== "function")
+  ) {
+    throw new Error(`Streaming codec "${codec.id}" must provide stream factories`);
+  }
+
+  codecs.set(codec.id, { ...codec, extension: codec.extension || codec.id, params, capabilities });
+}
+
+function getCodec(id) {
+  return codecs.get(id) || null;
+}
+
+function listCodecs() {
+  return [...codecs.values()];
+}
+
+// Form fields arrive as strings, JSON bodies as numbers and booleans; accept both
+function coerceParam(codec, param, raw) {
+  if (param.type === "boolean") {
+    if (raw === true || raw === "true") return true;
+    if (raw === false || raw === "false") return false;
+    throw new InvalidParameterError(param.name, `${codec.name} parameter "${param.name}" must be true or false.`);
+  }
+
+  if (param.type === "enum") {
+    const values = param.options.map((option) => option.value);
+    if (!values.includes(raw)) {
+      throw new InvalidParameterError(
+        param.name,
+        `${codec.name} parameter "${param.name}" must be one of ${values.join(", ")}.`
+      );
+    }
+    return raw;
+  }
+
+  const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+  if (!Number.isInteger(value)) {
+    throw new InvalidParameterError(param.name, `${codec.name} parameter "${param.name}" must be an integer.`);
+  }
+  if (value < param.min || value > param.max) {
+    throw new InvalidParameterError(
+      param.name,
+      `${codec.name} parameter "${param.name}" must be between ${param.min} and ${param.max}, got ${value}.`
+    );
+  }
+  return value;
+}
+
+// Validates user-supplied parameters against the codec's schema and fills in defaults
+function resolveParams(codec, raw = {}) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new InvalidParameterError(null, "Parameters must be a JSON object.");
+  }
+
+  for (const name of Object.keys(raw)) {
+    if (!codec.params.some((param) => param.name === name)) {
+      throw new InvalidParameterError(name, `${codec.name} has no parameter "${name}".`);
+    }
+  }
+
+  const params = {};
+  for (const param of codec.params) {
+    params[param.name] = raw[param.name] === undefined ? param.default : coerceParam(codec, param, raw[param.name]);
+  }
+
+  if (codec.checkParams) {
+    codec.checkParams(params);
+  }
+  return params;
+}
+
+// Public, JSON-safe view of a codec for the /algorithms endpoint
+function describeCodec(codec) {
+  return {
+    id: codec.id,
+    name: codec.name,
+    description: codec.description,
+    bestFor: codec.bestFor || null,
+    typicalRatio: codec.typicalRatio || null,
+    extension: codec.extension,
+    capabilities: codec.capabilities,
+    params: codec.params,
+  };
+}
+
+module.exports = {
+  registerCodec,
+  getCodec,
+  listCodecs,
+  describeCodec,
+  resolveParams,
+};
@@ -1,11 +1,36 @@
 // File: server/algorithms/rle.js
 // Advanced RLE implementation with binary-safe compression & escape sequences
 
+const {
+  InvalidFormatError,
+  TruncatedError,
+  SizeMismatchError,
+  CorruptStreamError,
+  InvalidParameterError,
+  FileTooLargeError,
+  atOffset,
+} = require("./errors");
+const { createBlockCompressStream, createBlockDecompressStream } = require("./stream");
+const { registerCodec } = require("./registry");
+const { hex } = require("./hex");
+
 const MAX_RUN_LENGTH = 255;
 const MIN_RUN_LENGTH = 3;
 const ESCAPE_BYTE = 0xFF; // Escape sequence marker
+const HEADER_SIZE = 6;
+
+// Traces keep one entry per segment, so they are only offered for small inputs
+const MAX_TRACE_BYTES = 4096;
 
-function compressRLE(input) {
+// Passing an array as options.trace records how the input was split: runs,
+// stretches of plain literals and escaped literals, each with the input range it
+// covers and where its bytes land in the output after the header.
+function compressRLE(input, options = {}) {
+  const {
+    minRunLength = MIN_RUN_LENGTH,
+    maxRunLength = MAX_RUN_LENGTH,
+    escapeByte = ESCAPE_BYTE,
+  } = options;
   const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
   
   // Handle empty input
@@ -15,6 +40,20 @@ function compressRLE(input) {
   
   const compressed = [];
   let position = 0;
+  const trace = options.trace || null;
+
+  // Called once a segment's bytes are pushed; outputOffset is where they began
+  function record(type, start, length, outputOffset) {
+    const outputLength = compressed.length - outputOffset;
+    const last = trace[trace.length - 1];
+    // Neighbouring plain literals read better as one stretch
+    if (type === "literal" && last && last.type === "literal" && last.position + last.length === start) {
+      last.length += length;
+      last.outputLength += outputLength;
+      return;
+    }
+    trace.push({ type, position: start, length, byte: buffer[start], outputOffset, outputLength });
+  }
   
   while (position < buffer.length) {
     const currentByte = buffer[position];
@@ -23,28 +62,33 @@ function compressRLE(input) {
     // Count consecutive identical bytes
     while (position + runLength < buffer.length && 
            buffer[position + runLength] === currentByte && 
-           runLength < MAX_RUN_LENGTH) {
+           runLength < maxRunLength) {
       runLength++;
     }
     
-    if (runLength >= MIN_RUN_LENGTH) {
+    if (runLength >= minRunLength) {
+      const outputOffset = compressed.length;
       // Encode as run: [ESCAPE_BYTE][byte_value][run_length]
-      compressed.push(ESCAPE_BYTE);
+      compressed.push(escapeByte);
       compressed.push(currentByte);
       compressed.push(runLength);
+      if (trace) record("run", position, runLength, outputOffset);
       position += runLength;
     } else {
       // Handle single bytes or short runs
       for (let i = 0; i < runLength; i++) {
         const byte = buffer[position + i];
-        if (byte === ESCAPE_BYTE) {
+        const outputOffset = compressed.length;
+        if (byte === escapeByte) {
           // Escape the escape byte: [ESCAPE_BYTE][ESCAPE_BYTE][1]
-          compressed.push(ESCAPE_BYTE);
-          compressed.push(ESCAPE_BYTE);
+          compressed.push(escapeByte);
+          compressed.push(escapeByte);
           compressed.push(1);
+          if (trace) record("escaped", position + i, 1, outputOffset);
         } else {
           // Regular literal byte
           compressed.push(byte);
+          if (trace) record("literal", position + i, 1, outputOffset);
         }
       }
       position += runLength;
@@ -52,13 +96,13 @@ function compressRLE(input) {
   }
   
   // Create header: [original_size_bytes][rle_marker][escape_byte]
-  const header = Buffer.alloc(6);
+  const header = Buffer.alloc(HEADER_SIZE);
   header[0] = (buffer.length >> 24) & 0xff;
   header[1] = (buffer.length >> 16) & 0xff;
   header[2] = (buffer.length >> 8) & 0xff;
   header[3] = buffer.length & 0xff;
   header[4] = 0xE1; // RLE marker (Run Length Encoding)
-  header[5] = ESCAPE_BYTE;
+  header[5] = escapeByte;
   
   const result = Buffer.concat([
     header,
@@ -68,51 +112,75 @@ function compressRLE(input) {
   return { data: result };
 }
 
-function decompressRLE(buffer) {
-  // Check if this is actually an RLE-compressed file
-  const isRLEFile = isValidRLEFile(buffer);
-  
-  if (!isRLEFile) {
-    // This appears to be an original file, return as-is
+function decompressRLE(buffer, { strict = true, params = {} } = {}) {
+  if (strict) {
+    // Throws a typed error describing why the file is not valid RLE data
+    validateRLEFile(buffer);
+  } else if (!isValidRLEFile(buffer)) {
+    // Lenient mode: hand back files that are not RLE data unchanged
     return buffer;
   }
   
   // This is a real RLE-compressed file - proceed with decompression
-  return performActualDecompression(buffer);
+  return performActualDecompression(buffer, strict, params.maxRunLength);
 }
 
-function isValidRLEFile(buffer) {
+// Compresses a small input and returns its segments alongside the encoded bytes
+function traceRLE(input, params = {}) {
+  if (input.length === 0) {
+    throw new InvalidParameterError("input", "Enter some text or choose a file to explore.");
+  }
+  if (input.length > MAX_TRACE_BYTES) {
+    throw new FileTooLargeError(
+      `RLE traces are limited to ${MAX_TRACE_BYTES} bytes; this input has ${input.length} bytes.`
+    );
+  }
+
+  const segments = [];
+  const { data } = compressRLE(input, { ...params, trace: segments });
+  return {
+    header: data.subarray(0, HEADER_SIZE),
+    stream: data.subarray(HEADER_SIZE),
+    segments,
+  };
+}
+
+function validateRLEFile(buffer) {
   // Validate minimum header size
   if (buffer.length < 6) {
-    return false;
+    throw new TruncatedError(`RLE header needs 6 bytes, file has ${buffer.length}.`);
   }
   
   // Check for RLE marker
   if (buffer[4] !== 0xE1) {
-    return false;
+    throw atOffset(new InvalidFormatError("Missing RLE marker byte 0xE1; this is not an RLE-compressed file."), 4);
   }
   
   const originalSize = (buffer[0] << 24) | (buffer[1] << 16) | (buffer[2] << 8) | buffer[3];
-  const escapeByteUsed = buffer[5];
   
   // Basic sanity checks
   if (originalSize === 0 || originalSize > 100 * 1024 * 1024) { // Max 100MB
-    return false;
+    throw atOffset(new InvalidFormatError(`Implausible RLE original size ${originalSize}.`), 0);
   }
   
   if (buffer.length < 7) { // Must have at least some compressed data
-    return false;
+    throw new TruncatedError("No compressed data found after the RLE header.");
   }
-  
-  // Validate escape byte is reasonable (not necessarily 0xFF, but should be valid)
-  if (escapeByteUsed < 0 || escapeByteUsed > 255) {
+}
+
+function isValidRLEFile(buffer) {
+  try {
+    validateRLEFile(buffer);
+    return true;
+  } catch (error) {
     return false;
   }
-  
-  return true;
 }
 
-function performActualDecompression(buffer) {
+// maxRunLength comes from the parameters recorded at compression time, when known.
+// visit(type, start, end, byte, count), if given, sees every run, escaped byte and
+// literal with its offsets in the file, for the hex inspector.
+function performActualDecompression(buffer, strict = true, maxRunLength = MAX_RUN_LENGTH, visit = null) {
   // Read header
   const originalSize = (buffer[0] << 24) | (buffer[1] << 16) | (buffer[2] << 8) | buffer[3];
   const escapeByteUsed = buffer[5];
@@ -128,7 +196,7 @@ function performActualDecompression(buffer) {
     if (currentByte === escapeByteUsed) {
       // This is an escape sequence
       if (position + 2 >= compressed.length) {
-        throw new Error("Incomplete RLE escape sequence");
+        throw atOffset(new TruncatedError("Incomplete RLE escape sequence"), HEADER_SIZE + position);
       }
       
       const dataByte = compressed[position + 1];
@@ -136,11 +204,19 @@ function performActualDecompression(buffer) {
       
       // Validate run length
       if (runLength === 0) {
-        throw new Error("Invalid RLE run length: 0");
+        throw atOffset(new CorruptStreamError("Invalid RLE run length: 0"), HEADER_SIZE + position + 2);
       }
       
-      if (runLength > MAX_RUN_LENGTH) {
-        throw new Error(`Invalid RLE run length: ${runLength}, maximum allowed: ${MAX_RUN_LENGTH}`);
+      if (strict && runLength > maxRunLength) {
+        throw atOffset(
+          new CorruptStreamError(`Invalid RLE run length: ${runLength}, maximum allowed: ${maxRunLength}`),
+          HEADER_SIZE + position + 2
+        );
+      }
+
+      if (visit) {
+        const type = dataByte === escapeByteUsed && runLength === 1 ? "escaped" : "run";
+        visit(type, HEADER_SIZE + position, HEADER_SIZE + position + 3, dataByte, runLength);
       }
       
       // Add the run to output
@@ -151,6 +227,7 @@ function performActualDecompression(buffer) {
       position += 3;
     } else {
       // Regular literal byte
+      if (visit) visit("literal", HEADER_SIZE + position, HEADER_SIZE + position + 1, currentByte, 1);
       output.push(currentByte);
       position++;
     }
@@ -158,12 +235,67 @@ function performActualDecompression(buffer) {
   
   // Validate output size
   if (output.length !== originalSize) {
+    if (strict) {
+      throw new SizeMismatchError(originalSize, output.length);
+    }
     console.warn(`Warning: Expected ${originalSize} bytes, got ${output.length} bytes`);
   }
   
   return Buffer.from(output);
 }
 
+// Labels the header, runs and literal stretches for the hex inspector by
+// running the decoder with a visitor
+function inspectRLE(buffer, scope, params = {}) {
+  if (buffer.length >= HEADER_SIZE) {
+    scope.add("header", 0, 4, "Original size", `${buffer.readUInt32BE(0)} bytes`);
+    scope.add("header", 4, 5, "RLE marker", "Always 0xE1");
+    scope.add("header", 5, 6, "Escape byte", `${hex(buffer[5])} starts every run`);
+  }
+  scope.check(HEADER_SIZE, () => validateRLEFile(buffer));
+
+  // Neighbouring literals are labelled as one stretch
+  let literals = null;
+  let end = HEADER_SIZE;
+  function flushLiterals() {
+    if (literals) {
+      const count = literals.end - literals.start;
+      scope.add("literal", literals.start, literals.end, "Literals", `${count} byte${count === 1 ? "" : "s"} copied unchanged`);
+    }
+    literals = null;
+  }
+
+  try {
+    scope.check(HEADER_SIZE, () =>
+      performActualDecompression(buffer, true, params.maxRunLength, (type, start, stop, byte, count) => {
+        end = stop;
+        if (type === "literal") {
+          if (literals && literals.end === start) literals.end = stop;
+          else {
+            flushLiterals();
+            literals = { start, end: stop };
+          }
+          return;
+        }
+        flushLiterals();
+        if (type === "escaped") {
+          scope.add("escaped", start, stop, "Escaped escape byte", `A literal ${hex(byte)}, written as a run of one`);
+        } else {
+          scope.add("run", start, stop, `Run of ${count}`, `${count} × ${hex(byte)}`);
+        }
+      })
+    );
+  } finally {
+    flushLiterals();
+  }
+
+  // The decoder stops as soon as the original size is reached
+  if (end < buffer.length) {
+    scope.add("trailing", end, buffer.length, "Unused bytes", "Left over after the original size was reached");
+  }
+  return { format: "RLE", originalSize: buffer.readUInt32BE(0) };
+}
+
 // Additional utility function for analyzing RLE efficiency
 function analyzeRLEEfficiency(buffer) {
   const analysis = {
@@ -171,7 +303,8 @@ function analyzeRLEEfficiency(buffer) {
     runs: 0,
     longestRun: 0,
     averageRunLength: 0,
-    potentialSavings: 0
+    potentialSavings: 0,
+    compressionRatio: 1
   };
   
   if (buffer.length === 0) {
@@ -211,8 +344,71 @@ function analyzeRLEEfficiency(buffer) {
   return analysis;
 }
 
+// Streaming variants: runs never cross block boundaries
+function createRLECompressStream(options = {}) {
+  return createBlockCompressStream((block) => compressRLE(block, options).data, options);
+}
+
+function createRLEDecompressStream(params = {}, { strict = true } = {}) {
+  return createBlockDecompressStream((block) => decompressRLE(block, { strict, params }), { strict });
+}
+
+registerCodec({
+  id: "rle",
+  name: "Run-Length Encoding",
+  description: "Efficient for data with many consecutive identical values.",
+  bestFor: "Images/Repetitive Data",
+  typicalRatio: "~20-80%",
+  capabilities: { streaming: true },
+  params: [
+    {
+      name: "minRunLength",
+      label: "Minimum run length",
+      type: "integer",
+      min: 2,
+      max: MAX_RUN_LENGTH,
+      default: MIN_RUN_LENGTH,
+      description: "Shortest run encoded as an escape sequence; shorter runs stay literal.",
+    },
+    {
+      name: "maxRunLength",
+      label: "Maximum run length",
+      type: "integer",
+      min: 2,
+      max: MAX_RUN_LENGTH,
+      default: MAX_RUN_LENGTH,
+      description: "Longer runs are split into several escape sequences.",
+    },
+    {
+      name: "escapeByte",
+      label: "Escape byte",
+      type: "integer",
+      min: 0,
+      max: 255,
+      default: ESCAPE_BYTE,
+      description: "Marker that starts a run; pick a value that is rare in the input.",
+    },
+  ],
+  checkParams(params) {
+    if (params.minRunLength > params.maxRunLength) {
+      throw new InvalidParameterError(
+        "minRunLength",
+        `Minimum run length (${params.minRunLength}) cannot exceed maximum run length (${params.maxRunLength}).`
+      );
+    }
+  },
+  compress: (buffer, params) => compressRLE(buffer, params).data,
+  decompress: (buffer, options) => decompressRLE(buffer, options),
+  inspect: (buffer, scope, params) => inspectRLE(buffer, scope, params),
+  createCompressStream: createRLECompressStream,
+  createDecompressStream: createRLEDecompressStream,
+});
+
 module.exports = { 
   compressRLE, 
   decompressRLE, 
-  analyzeRLEEfficiency 
+  createRLECompressStream,
+  createRLEDecompressStream,
+  analyzeRLEEfficiency,
+  traceRLE,
 };
\ No newline at end of file
@@ -0,0 +1,204 @@
+// File: server/algorithms/stream.js
+// Block-framed Transform streams so any whole-buffer codec can process files larger than memory
+
+const { Transform } = require("stream");
+const {
+  TruncatedError,
+  SizeMismatchError,
+  CorruptStreamError,
+} = require("./errors");
+
+// Each block is compressed independently and framed as:
+// [raw_length x4][compressed_length x4][compressed bytes]
+const FRAME_HEADER_SIZE = 8;
+const DEFAULT_BLOCK_SIZE = 1024 * 1024;
+// Upper bound on a single frame, so a corrupt length cannot make us buffer the world
+const MAX_FRAME_SIZE = 64 * 1024 * 1024;
+
+// framed: false leaves out the frame headers, for formats whose blocks can simply be
+// concatenated (gzip members). Such a stream always has at least one block, since
+// empty input still has to be a valid file.
+function createBlockCompressStream(compressBlock, { blockSize = DEFAULT_BLOCK_SIZE, framed = true } = {}) {
+  if (blockSize < 1 || blockSize > MAX_FRAME_SIZE) {
+    throw new Error(`Block size must be between 1 and ${MAX_FRAME_SIZE} bytes`);
+  }
+
+  let chunks = [];
+  let buffered = 0;
+  let emitted = false;
+
+  function emitBlock(stream, block) {
+    const compressed = compressBlock(block);
+    emitted = true;
+    if (!framed) {
+      stream.push(compressed);
+      return;
+    }
+    const frame = Buffer.alloc(FRAME_HEADER_SIZE);
+    frame.writeUInt32BE(block.length, 0);
+    frame.writeUInt32BE(compressed.length, 4);
+    stream.push(frame);
+    stream.push(compressed);
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        chunks.push(chunk);
+        buffered += chunk.length;
+
+        if (buffered >= blockSize) {
+          let pending = Buffer.concat(chunks, buffered);
+          while (pending.length >= blockSize) {
+            emitBlock(this, pending.subarray(0, blockSize));
+            pending = pending.subarray(blockSize);
+          }
+          // Copy the remainder so the large concatenated buffer can be freed
+          chunks = pending.length > 0 ? [Buffer.from(pending)] : [];
+          buffered = pending.length;
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      try {
+        if (buffered > 0 || (!framed && !emitted)) {
+          emitBlock(this, Buffer.concat(chunks, buffered));
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
+
+// Lenient mode (strict: false) mirrors decompress(): decompressBlock is expected to pass
+// damaged blocks through, blocks whose length disagrees with their frame are kept, and
+// a frame cut off at the end is decoded from the bytes that arrived
+function createBlockDecompressStream(decompressBlock, { strict = true } = {}) {
+  let chunks = [];
+  let buffered = 0;
+  let needed = FRAME_HEADER_SIZE; // Bytes required before the next frame can be decoded
+  let offset = 0; // Bytes of the stream consumed so far, for error messages
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        chunks.push(chunk);
+        buffered += chunk.length;
+
+        // Only join the chunks once a whole frame header or frame has arrived
+        if (buffered < needed) return callback();
+
+        let pending = Buffer.concat(chunks, buffered);
+        needed = FRAME_HEADER_SIZE;
+
+        while (pending.length >= FRAME_HEADER_SIZE) {
+          const rawLength = pending.readUInt32BE(0);
+          const compressedLength = pending.readUInt32BE(4);
+
+          if (rawLength > MAX_FRAME_SIZE || compressedLength > MAX_FRAME_SIZE) {
+            throw new CorruptStreamError(`Implausible block size in frame at byte ${offset}.`);
+          }
+
+          const frameLength = FRAME_HEADER_SIZE + compressedLength;
+          if (pending.length < frameLength) {
+            needed = frameLength;
+            break;
+          }
+
+          const block = decompressBlock(pending.subarray(FRAME_HEADER_SIZE, frameLength));
+          if (strict && block.length !== rawLength) {
+            throw new SizeMismatchError(rawLength, block.length);
+          }
+
+          this.push(block);
+          pending = pending.subarray(frameLength);
+          offset += frameLength;
+        }
+
+        chunks = pending.length > 0 ? [pending] : [];
+        buffered = pending.length;
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      if (buffered === 0) return callback();
+      if (strict) {
+        return callback(new TruncatedError(`Compressed stream ends inside the block frame at byte ${offset}.`));
+      }
+      try {
+        const pending = Buffer.concat(chunks, buffered);
+        if (pending.length > FRAME_HEADER_SIZE) {
+          this.push(decompressBlock(pending.subarray(FRAME_HEADER_SIZE)));
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
+
+// Labels each frame header for the hex inspector and hands the block inside to
+// inspectBlock(scope, block), which returns { format, originalSize }
+function inspectFrames(buffer, scope, inspectBlock) {
+  let offset = 0;
+  let frames = 0;
+  let originalSize = 0;
+
+  while (offset < buffer.length) {
+    if (offset + FRAME_HEADER_SIZE > buffer.length) {
+      scope.fail(offset, new TruncatedError("Compressed stream ends inside a block frame header."));
+    }
+
+    const rawLength = buffer.readUInt32BE(offset);
+    const compressedLength = buffer.readUInt32BE(offset + 4);
+    frames++;
+    scope.add(
+      "frame",
+      offset,
+      offset + FRAME_HEADER_SIZE,
+      `Block ${frames} frame`,
+      `${rawLength} bytes, compressed to ${compressedLength} bytes`
+    );
+
+    if (rawLength > MAX_FRAME_SIZE || compressedLength > MAX_FRAME_SIZE) {
+      scope.fail(offset, new CorruptStreamError("Implausible block size in frame."));
+    }
+
+    const start = offset + FRAME_HEADER_SIZE;
+    if (start + compressedLength > buffer.length) {
+      scope.add("payload", start, buffer.length, `Block ${frames} data`, "Incomplete: the file ends inside this block");
+      scope.fail(
+        buffer.length,
+        new TruncatedError(`Block ${frames} needs ${compressedLength} bytes but the file ends after ${buffer.length - start}.`)
+      );
+    }
+
+    const block = buffer.subarray(start, start + compressedLength);
+    const info = scope.within(start, compressedLength, (blockScope) => inspectBlock(blockScope, block));
+    if (info.originalSize !== rawLength) {
+      scope.fail(offset, new SizeMismatchError(rawLength, info.originalSize));
+    }
+
+    originalSize += rawLength;
+    offset = start + compressedLength;
+  }
+
+  return { frames, originalSize };
+}
+
+module.exports = {
+  DEFAULT_BLOCK_SIZE,
+  createBlockCompressStream,
+  createBlockDecompressStream,
+  inspectFrames,
+};
@@ -0,0 +1,181 @@
+// File: server/algorithms/transforms.js
+// Reversible pre-transforms for pipelines: they do not compress by themselves but
+// reshape the data so a following codec finds more redundancy
+
+const { TruncatedError, CorruptStreamError } = require("./errors");
+const { bwtForwardBlocks, bwtInverseBlocks } = require("./bwt");
+const { mtfEncode, mtfDecode } = require("./mtf");
+
+const transforms = new Map();
+
+// A transform is { id, name, description, params, forward(buffer, params) -> Buffer,
+// inverse(buffer, params) -> Buffer }, with params declared like codec parameters
+function registerTransform(transform) {
+  if (transforms.has(transform.id)) {
+    throw new Error(`Transform "${transform.id}" is already registered`);
+  }
+  transforms.set(transform.id, { params: [], ...transform });
+}
+
+function getTransform(id) {
+  return transforms.get(id) || null;
+}
+
+function listTransforms() {
+  return [...transforms.values()];
+}
+
+// Public, JSON-safe view of a transform for the /algorithms endpoint
+function describeTransform(transform) {
+  return {
+    id: transform.id,
+    name: transform.name,
+    description: transform.description,
+    params: transform.params,
+  };
+}
+
+// Each sample minus the one `distance` bytes earlier; smooth numeric data becomes small values
+function deltaEncode(input, { distance = 1 } = {}) {
+  const output = Buffer.alloc(input.length);
+  for (let i = 0; i < input.length; i++) {
+    output[i] = i < distance ? input[i] : (input[i] - input[i - distance]) & 0xff;
+  }
+  return output;
+}
+
+function deltaDecode(input, { distance = 1 } = {}) {
+  const output = Buffer.alloc(input.length);
+  for (let i = 0; i < input.length; i++) {
+    output[i] = i < distance ? input[i] : (input[i] + output[i - distance]) & 0xff;
+  }
+  return output;
+}
+
+// Groups byte 0 of every width-byte record, then byte 1, and so on, so the
+// similar high bytes of multi-byte numbers end up next to each other
+function byteSplit(input, { width = 4 } = {}) {
+  const output = Buffer.alloc(input.length);
+  let out = 0;
+  for (let lane = 0; lane < width; lane++) {
+    for (let i = lane; i < input.length; i += width) {
+      output[out++] = input[i];
+    }
+  }
+  return output;
+}
+
+function byteJoin(input, { width = 4 } = {}) {
+  const output = Buffer.alloc(input.length);
+  let position = 0;
+  for (let lane = 0; lane < width; lane++) {
+    for (let i = lane; i < output.length; i += width) {
+      output[i] = input[position++];
+    }
+  }
+  return output;
+}
+
+// BWT output framing: [block_size x4][block_count x4][primary_index x4 per block][data]
+function bwtTransform(input, { blockSizeKB = 256 } = {}) {
+  const blockSize = blockSizeKB * 1024;
+  const { data, primaryIndices } = bwtForwardBlocks(input, blockSize);
+  const header = Buffer.alloc(8 + primaryIndices.length * 4);
+  header.writeUInt32BE(blockSize, 0);
+  header.writeUInt32BE(primaryIndices.length, 4);
+  primaryIndices.forEach((primaryIndex, block) => header.writeUInt32BE(primaryIndex, 8 + block * 4));
+  return Buffer.concat([header, data]);
+}
+
+function bwtUntransform(input) {
+  if (input.length < 8) {
+    throw new TruncatedError("BWT stage output is missing its block table.");
+  }
+
+  const blockSize = input.readUInt32BE(0);
+  const blockCount = input.readUInt32BE(4);
+  const dataOffset = 8 + blockCount * 4;
+  if (blockSize === 0) {
+    throw new CorruptStreamError("BWT stage has a zero block size.");
+  }
+  if (input.length < dataOffset) {
+    throw new TruncatedError(`BWT stage block table needs ${dataOffset} bytes, stage has ${input.length}.`);
+  }
+
+  const primaryIndices = [];
+  for (let block = 0; block < blockCount; block++) {
+    primaryIndices.push(input.readUInt32BE(8 + block * 4));
+  }
+  return bwtInverseBlocks(input.subarray(dataOffset), blockSize, primaryIndices);
+}
+
+registerTransform({
+  id: "bwt",
+  name: "Burrows-Wheeler",
+  description: "Sorts each block's rotations so bytes with similar context end up together.",
+  params: [
+    {
+      name: "blockSizeKB",
+      label: "Block size (KB)",
+      type: "integer",
+      min: 16,
+      max: 900,
+      default: 256,
+      description: "Bytes sorted together.",
+    },
+  ],
+  forward: bwtTransform,
+  inverse: bwtUntransform,
+});
+
+registerTransform({
+  id: "mtf",
+  name: "Move-to-Front",
+  description: "Replaces each byte by its position in a recently-used list; repeats become zeros.",
+  forward: (buffer) => mtfEncode(buffer),
+  inverse: (buffer) => mtfDecode(buffer),
+});
+
+registerTransform({
+  id: "delta",
+  name: "Delta",
+  description: "Stores differences between neighbouring samples. Helps audio, images and sorted numbers.",
+  params: [
+    {
+      name: "distance",
+      label: "Sample distance",
+      type: "integer",
+      min: 1,
+      max: 16,
+      default: 1,
+      description: "Bytes between the samples being subtracted, e.g. 2 for 16-bit audio, 3 for RGB pixels.",
+    },
+  ],
+  forward: deltaEncode,
+  inverse: deltaDecode,
+});
+
+registerTransform({
+  id: "bytesplit",
+  name: "Byte Split",
+  description: "Splits fixed-width records into one lane per byte position.",
+  params: [
+    {
+      name: "width",
+      label: "Record width",
+      type: "integer",
+      min: 2,
+      max: 16,
+      default: 4,
+      description: "Bytes per record, e.g. 4 for 32-bit integers or floats.",
+    },
+  ],
+  forward: byteSplit,
+  inverse: byteJoin,
+});
+
+module.exports = {
+  getTransform,
+  listTransforms,
+  describeTransform,
+};
@@ -0,0 +1,129 @@
+// File: server/bench/bitio.js
+// Compares string-based bit manipulation with BitWriter/BitReader on Huffman codes.
+// Each variant runs in its own process so peak memory is measured in isolation.
+// Usage: node bench/bitio.js [file]
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { BitWriter, BitReader } = require("../algorithms/bitio");
+const {
+  buildFrequencyTable,
+  buildCodeLengths,
+  assignCanonicalCodes,
+} = require("../algorithms/huffman");
+
+const VARIANTS = ["string-encode", "bitwriter-encode", "string-decode", "bitreader-decode"];
+
+function loadCodes(input) {
+  const lengths = buildCodeLengths(buildFrequencyTable(input));
+  return { lengths, codes: assignCanonicalCodes(lengths) };
+}
+
+// The approach huffman.js used before: one '0'/'1' character per output bit
+function encodeWithString(input, { lengths, codes }) {
+  let bitString = "";
+  for (const byte of input) {
+    bitString += codes[byte].toString(2).padStart(lengths[byte], "0");
+  }
+  bitString += "0".repeat((8 - (bitString.length % 8)) % 8);
+
+  const bytes = [];
+  for (let i = 0; i < bitString.length; i += 8) {
+    bytes.push(parseInt(bitString.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function encodeWithBitWriter(input, { lengths, codes }) {
+  const writer = new BitWriter({ initialSize: input.length });
+  for (const byte of input) {
+    writer.writeBits(codes[byte], lengths[byte]);
+  }
+  return writer.toBuffer();
+}
+
+function buildDecodeTable({ lengths, codes }) {
+  const maxLength = Math.max(...lengths);
+  const table = new Int32Array(1 << maxLength).fill(-1);
+  for (let symbol = 0; symbol < 256; symbol++) {
+    if (lengths[symbol] === 0) continue;
+    const start = codes[symbol] << (maxLength - lengths[symbol]);
+    table.fill((symbol << 8) | lengths[symbol], start, start + (1 << (maxLength - lengths[symbol])));
+  }
+  return { table, maxLength };
+}
+
+function decodeWithString(data, size, code) {
+  const { table, maxLength } = buildDecodeTable(code);
+  let bitString = "";
+  for (const byte of data) {
+    bitString += byte.toString(2).padStart(8, "0");
+  }
+  bitString += "0".repeat(maxLength);
+
+  const output = Buffer.alloc(size);
+  let position = 0;
+  for (let out = 0; out < size; out++) {
+    const entry = table[parseInt(bitString.substr(position, maxLength), 2)];
+    output[out] = entry >> 8;
+    position += entry & 0xff;
+  }
+  return output;
+}
+
+function decodeWithBitReader(data, size, code) {
+  const { table, maxLength } = buildDecodeTable(code);
+  const reader = new BitReader(data);
+  const output = Buffer.alloc(size);
+  for (let out = 0; out < size; out++) {
+    const entry = table[reader.peekBits(maxLength)];
+    output[out] = entry >> 8;
+    reader.skipBits(entry & 0xff);
+  }
+  return output;
+}
+
+function runVariant(variant, file) {
+  const input = fs.readFileSync(file);
+  const code = loadCodes(input);
+  const encoded = variant.endsWith("decode") ? encodeWithBitWriter(input, code) : null;
+
+  const rssBefore = process.memoryUsage().rss;
+  const start = process.hrtime.bigint();
+
+  let result;
+  if (variant === "string-encode") result = encodeWithString(input, code);
+  if (variant === "bitwriter-encode") result = encodeWithBitWriter(input, code);
+  if (variant === "string-decode") result = decodeWithString(encoded, input.length, code);
+  if (variant === "bitreader-decode") result = decodeWithBitReader(encoded, input.length, code);
+
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  // maxRSS is reported in kilobytes
+  const peakBytes = Math.max(0, process.resourceUsage().maxRSS * 1024 - rssBefore);
+  const correct = variant.endsWith("decode")
+    ? result.equals(input)
+    : result.equals(encodeWithBitWriter(input, code));
+
+  process.stdout.write(JSON.stringify({ ms, peakBytes, correct, inputBytes: input.length }));
+}
+
+function formatMB(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1) + " MB";
+}
+
+if (process.argv[2] === "--variant") {
+  runVariant(process.argv[3], process.argv[4]);
+} else {
+  const file = process.argv[2] || path.join(__dirname, "..", "sample.txt");
+  console.log(`Input: ${path.basename(file)} (${fs.statSync(file).size} bytes)\n`);
+  console.log("variant            time        peak memory   correct");
+
+  for (const variant of VARIANTS) {
+    const output = execFileSync(process.execPath, [__filename, "--variant", variant, file]);
+    const { ms, peakBytes, correct } = JSON.parse(output);
+    console.log(
+      `${variant.padEnd(18)} ${(ms.toFixed(0) + " ms").padStart(8)}   ${formatMB(peakBytes).padStart(11)}   ${correct ? "yes" : "NO"}`
+    );
+  }
+}
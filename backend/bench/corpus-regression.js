@@ -0,0 +1,224 @@
+// File: server/bench/corpus-regression.js
+// Runs every codec over the benchmark corpus and compares the results with a stored
+// baseline. Exits non-zero with a diff report when a codec's output grows or its
+// throughput drops beyond the tolerances, or when a round trip stops being exact.
+// Usage: node bench/corpus-regression.js [--update] [--corpus dir] [--baseline file]
+//          [--ratio-tolerance 0.01] [--speed-tolerance 0.5] [--runs 3] [--codecs huffman,lz77]
+
+const fs = require("fs");
+const path = require("path");
+const { getCodec } = require("../algorithms");
+const { runBenchmark } = require("../algorithms/benchmark");
+const { DEFAULT_CORPUS_DIR, ensureCorpus } = require("./corpus");
+
+const DEFAULT_BASELINE = path.join(__dirname, "baseline.json");
+// Timings this short are dominated by JIT warm-up and scheduler noise
+const MIN_TIMED_MS = 20;
+
+function parseArgs(argv) {
+  const options = {
+    corpus: DEFAULT_CORPUS_DIR,
+    baseline: DEFAULT_BASELINE,
+    update: false,
+    ratioTolerance: 0.01,
+    speedTolerance: 0.5,
+    runs: 3,
+    codecs: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+    const fraction = () => {
+      const number = Number(value());
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${flag} must be a non-negative fraction, e.g. 0.05 for 5%`);
+      }
+      return number;
+    };
+
+    if (flag === "--update") options.update = true;
+    else if (flag === "--corpus") options.corpus = path.resolve(value());
+    else if (flag === "--baseline") options.baseline = path.resolve(value());
+    else if (flag === "--ratio-tolerance") options.ratioTolerance = fraction();
+    else if (flag === "--speed-tolerance") options.speedTolerance = fraction();
+    else if (flag === "--runs") {
+      options.runs = Number(value());
+      if (!Number.isInteger(options.runs) || options.runs < 1) {
+        throw new Error("--runs must be a positive integer");
+      }
+    } else if (flag === "--codecs") options.codecs = value().split(",").filter(Boolean);
+    else throw new Error(`Unknown option ${flag}`);
+  }
+
+  for (const id of options.codecs || []) {
+    if (!getCodec(id)) throw new Error(`Unknown codec "${id}"`);
+  }
+  return options;
+}
+
+// Sizes never change between runs; timings keep the fastest run, the one least
+// disturbed by whatever else the machine was doing. Any failed run fails the entry.
+function summarizeRuns(entries) {
+  const failed = entries.find((entry) => entry.error);
+  const fastest = (msKey) =>
+    entries.reduce((best, entry) => (entry[msKey] < best[msKey] ? entry : best));
+  const compress = failed || fastest("compressMs");
+  const decompress = failed || fastest("decompressMs");
+
+  return {
+    compressedSize: compress.compressedSize,
+    compressMs: compress.compressMs,
+    decompressMs: decompress.decompressMs,
+    compressMBps: compress.compressMBps,
+    decompressMBps: decompress.decompressMBps,
+    roundTrip: entries.every((entry) => entry.roundTrip),
+    error: failed ? failed.error : null,
+  };
+}
+
+async function runCorpus(options) {
+  const files = {};
+  for (const name of ensureCorpus(options.corpus)) {
+    const file = path.join(options.corpus, name);
+    const size = fs.statSync(file).size;
+    console.log(`Benchmarking ${name} (${size} bytes)...`);
+
+    const runs = {};
+    for (let run = 0; run < options.runs; run++) {
+      for (const entry of await runBenchmark(file, size, { codecs: options.codecs })) {
+        (runs[entry.algorithm] ||= []).push(entry);
+      }
+    }
+
+    const results = {};
+    for (const [id, entries] of Object.entries(runs)) {
+      results[id] = summarizeRuns(entries);
+    }
+    files[name] = { size, results };
+  }
+  return files;
+}
+
+function percent(change) {
+  return `${change > 0 ? "+" : ""}${(change * 100).toFixed(1)}%`;
+}
+
+// Compares one codec on one file; returns [regressions, notes]
+function compareEntry(before, after, options) {
+  const regressions = [];
+  const notes = [];
+
+  if (after.error) {
+    regressions.push(`failed: ${after.error}`);
+    return [regressions, notes];
+  }
+  if (!after.roundTrip) {
+    regressions.push("round trip is no longer byte-exact");
+  }
+  if (before.error) {
+    notes.push("failed in the baseline, runs now");
+    return [regressions, notes];
+  }
+
+  const sizeChange = (after.compressedSize - before.compressedSize) / before.compressedSize;
+  const sizeText = `size ${before.compressedSize} -> ${after.compressedSize} (${percent(sizeChange)})`;
+  if (sizeChange > options.ratioTolerance) regressions.push(sizeText);
+  else if (sizeChange !== 0) notes.push(sizeText);
+
+  for (const [label, msKey, speedKey] of [
+    ["compress", "compressMs", "compressMBps"],
+    ["decompress", "decompressMs", "decompressMBps"],
+  ]) {
+    if (before[msKey] < MIN_TIMED_MS || !before[speedKey] || !after[speedKey]) continue;
+    const speedChange = (after[speedKey] - before[speedKey]) / before[speedKey];
+    if (speedChange < -options.speedTolerance) {
+      regressions.push(
+        `${label} ${before[speedKey]} -> ${after[speedKey]} MB/s (${percent(speedChange)})`
+      );
+    }
+  }
+  return [regressions, notes];
+}
+
+// Prints the diff report and returns the number of regressions
+function report(baseline, files, options) {
+  let regressionCount = 0;
+
+  for (const [name, file] of Object.entries(files)) {
+    const stored = baseline.files[name];
+    if (!stored) {
+      console.log(`\n${name}: not in the baseline (run with --update to record it)`);
+      continue;
+    }
+    if (stored.size !== file.size) {
+      console.log(`\n${name}: size changed ${stored.size} -> ${file.size}; skipped, re-record with --update`);
+      continue;
+    }
+
+    const lines = [];
+    for (const [id, after] of Object.entries(file.results)) {
+      const before = stored.results[id];
+      if (!before) {
+        lines.push(`  + ${id}: new codec, not in the baseline`);
+        continue;
+      }
+      const [regressions, notes] = compareEntry(before, after, options);
+      regressionCount += regressions.length;
+      for (const text of regressions) lines.push(`  ✗ ${id}: ${text}`);
+      for (const text of notes) lines.push(`    ${id}: ${text}`);
+    }
+    if (!options.codecs) {
+      for (const id of Object.keys(stored.results)) {
+        if (!file.results[id]) lines.push(`  - ${id}: in the baseline but no longer registered`);
+      }
+    }
+    console.log(`\n${name}:${lines.length ? "\n" + lines.join("\n") : " no changes"}`);
+  }
+
+  for (const name of Object.keys(baseline.files)) {
+    if (!files[name]) console.log(`\n${name}: in the baseline but missing from the corpus`);
+  }
+  return regressionCount;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const hasBaseline = fs.existsSync(options.baseline);
+  const files = await runCorpus(options);
+
+  if (options.update || !hasBaseline) {
+    const baseline = {
+      createdAt: new Date().toISOString(),
+      node: process.version,
+      platform: `${process.platform}-${process.arch}`,
+      runs: options.runs,
+      files,
+    };
+    fs.writeFileSync(options.baseline, JSON.stringify(baseline, null, 2) + "\n");
+    console.log(`\nBaseline written to ${path.relative(process.cwd(), options.baseline)}`);
+    return;
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(options.baseline, "utf8"));
+  console.log(
+    `\nCompared with the baseline from ${baseline.createdAt} (${baseline.node}, ${baseline.platform}); ` +
+      `tolerances: size +${options.ratioTolerance * 100}%, speed -${options.speedTolerance * 100}%`
+  );
+  const regressions = report(baseline, files, options);
+
+  if (regressions > 0) {
+    console.log(`\n${regressions} regression(s) beyond tolerance ❌`);
+    process.exitCode = 1;
+  } else {
+    console.log("\nNo regressions ✅");
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
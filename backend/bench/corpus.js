@@ -0,0 +1,182 @@
+// File: server/bench/corpus.js
+// Deterministic benchmark corpus: text, repetitive binary records, random bytes,
+// an uncompressed and a deflated image, and script.js's sample. A fixed seed
+// makes every machine generate byte-identical files, so stored baselines compare.
+// Usage: node bench/corpus.js [dir]
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { crc32 } = require("../algorithms/crc32");
+const { generateSample } = require("../script");
+
+const DEFAULT_CORPUS_DIR = path.join(__dirname, "corpus");
+const SEED = 0x5eed;
+
+// mulberry32: small, fast and the same on every platform
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const WORDS = (
+  "the of and to in a is that for it as was with be by on not he this are or his from at which but " +
+  "have an they you were their one all we can her has there been if more when will would who so no " +
+  "data compression algorithm entropy symbol frequency window match dictionary stream block code " +
+  "huffman tree length distance literal encoder decoder buffer byte bit table model context sorted"
+).split(" ");
+
+// Words drawn with a Zipf-like bias so common words dominate, as in real prose
+function generateText(random, size) {
+  let text = "";
+  let sentence = 0;
+  while (text.length < size) {
+    const word = WORDS[Math.floor(WORDS.length * random() ** 2.5)];
+    text += sentence === 0 ? word[0].toUpperCase() + word.slice(1) : " " + word;
+    sentence++;
+    if (sentence > 6 && random() < 0.15) {
+      text += random() < 0.2 ? ".\n" : ". ";
+      sentence = 0;
+    }
+  }
+  return Buffer.from(text.slice(0, size), "ascii");
+}
+
+// 16-byte sensor records: id, timestamp, sensor type, slowly drifting reading, flags
+function generateRecords(random, count) {
+  const buffer = Buffer.alloc(count * 16);
+  let timestamp = 1700000000;
+  let reading = 20;
+  for (let i = 0; i < count; i++) {
+    const offset = i * 16;
+    timestamp += 1 + Math.floor(random() * 3);
+    reading += (random() - 0.5) * 0.1;
+    buffer.writeUInt32LE(i, offset);
+    buffer.writeUInt32LE(timestamp, offset + 4);
+    buffer.writeUInt16LE(Math.floor(random() * 4), offset + 8);
+    buffer.writeFloatLE(reading, offset + 10);
+    buffer.writeUInt16LE(random() < 0.95 ? 0 : 1, offset + 14);
+  }
+  return buffer;
+}
+
+function generateRandom(random, size) {
+  const buffer = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) buffer[i] = Math.floor(random() * 256);
+  return buffer;
+}
+
+// RGB pixels: a smooth gradient with a filled circle and light sensor noise
+function generatePixels(random, width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      const inCircle = (x - width / 2) ** 2 + (y - height / 2) ** 2 < (width / 4) ** 2;
+      const noise = Math.floor(random() * 4);
+      pixels[offset] = inCircle ? 220 : (x * 255) / width + noise;
+      pixels[offset + 1] = inCircle ? 60 : (y * 255) / height + noise;
+      pixels[offset + 2] = inCircle ? 40 : 128 + noise;
+    }
+  }
+  return pixels;
+}
+
+// Uncompressed 24-bit BMP: bottom-up BGR rows padded to 4 bytes
+function encodeBMP(pixels, width, height) {
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const buffer = Buffer.alloc(54 + rowSize * height);
+  buffer.write("BM", 0, "ascii");
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(54, 10);
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(24, 28);
+  buffer.writeUInt32LE(rowSize * height, 34);
+  for (let y = 0; y < height; y++) {
+    const row = 54 + (height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 3;
+      buffer[row + x * 3] = pixels[source + 2];
+      buffer[row + x * 3 + 1] = pixels[source + 1];
+      buffer[row + x * 3 + 2] = pixels[source];
+    }
+  }
+  return buffer;
+}
+
+// PNG with unfiltered scanlines; its pixel data is already deflated
+function encodePNG(pixels, width, height) {
+  const chunk = (type, data) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, "ascii");
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, crc]);
+  };
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // Bit depth
+  ihdr[9] = 2; // Truecolour
+
+  const scanlines = Buffer.alloc(height * (width * 3 + 1));
+  for (let y = 0; y < height; y++) {
+    pixels.copy(scanlines, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(scanlines, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Every generator gets its own stream of the seed so files do not depend on each other
+const CORPUS_FILES = {
+  "text.txt": () => generateText(createRandom(SEED), 512 * 1024),
+  "records.bin": () => generateRecords(createRandom(SEED + 1), 32 * 1024),
+  "random.bin": () => generateRandom(createRandom(SEED + 2), 256 * 1024),
+  "gradient.bmp": () => encodeBMP(generatePixels(createRandom(SEED + 3), 256, 256), 256, 256),
+  "gradient.png": () => encodePNG(generatePixels(createRandom(SEED + 3), 256, 256), 256, 256),
+  "sample.txt": () => Buffer.from(generateSample()),
+};
+
+// Writes any generated file that is missing and returns every file in the directory,
+// so extra files dropped into the corpus are benchmarked too
+function ensureCorpus(dir = DEFAULT_CORPUS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, generate] of Object.entries(CORPUS_FILES)) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, generate());
+    }
+  }
+  return fs
+    .readdirSync(dir)
+    .filter((name) => fs.statSync(path.join(dir, name)).isFile())
+    .sort();
+}
+
+if (require.main === module) {
+  const dir = process.argv[2] || DEFAULT_CORPUS_DIR;
+  for (const name of ensureCorpus(dir)) {
+    console.log(`${name.padEnd(16)} ${fs.statSync(path.join(dir, name)).size} bytes`);
+  }
+}
+
+module.exports = {
+  DEFAULT_CORPUS_DIR,
+  ensureCorpus,
+};
@@ -0,0 +1,70 @@
+// File: server/bench/lz77-matcher.js
+// Compares the hash-chain LZ77 match finder against the original brute-force scan.
+// Usage: node bench/lz77-matcher.js [file] [maxBytes]
+
+const fs = require("fs");
+const path = require("path");
+const { compressLZ77, decompressLZ77 } = require("../algorithms/lz77");
+
+const file = process.argv[2] || path.join(__dirname, "..", "sample.txt");
+const maxBytes = Number(process.argv[3]) || 256 * 1024;
+const input = fs.readFileSync(file).subarray(0, maxBytes);
+
+// The matcher compressLZ77 used before hash chains: rescan the whole window
+// at every position. Only the token count is kept, which is all we time.
+function bruteForceTokenCount(buffer, windowSize, lookaheadSize) {
+  let tokens = 0;
+  let i = 0;
+
+  while (i < buffer.length) {
+    let matchLength = 0;
+    const limit = Math.min(lookaheadSize, buffer.length - i);
+
+    for (let j = Math.max(0, i - windowSize); j < i; j++) {
+      let length = 0;
+      while (length < limit && buffer[j + length] === buffer[i + length]) {
+        length++;
+      }
+      if (length > matchLength) matchLength = length;
+    }
+
+    i += matchLength >= 3 ? matchLength : 1;
+    tokens++;
+  }
+
+  return tokens;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  return { result, ms };
+}
+
+function throughput(ms) {
+  return (input.length / 1024 / 1024 / (ms / 1000)).toFixed(2) + " MB/s";
+}
+
+console.log(`Input: ${path.basename(file)} (${input.length} bytes)\n`);
+
+const brute = time(() => bruteForceTokenCount(input, 2048, 32));
+console.log(
+  `brute force      window 2048   ${brute.ms.toFixed(0).padStart(7)} ms  ${throughput(brute.ms).padStart(12)}  (${brute.result} tokens)`
+);
+
+const configs = [
+  { label: "hash chains", windowSize: 2048, lookaheadSize: 32, lazy: false },
+  { label: "hash chains", windowSize: 32768, lookaheadSize: 258, lazy: false },
+  { label: "hash + lazy", windowSize: 32768, lookaheadSize: 258, lazy: true },
+  { label: "hash + lazy", windowSize: 65535, lookaheadSize: 258, lazy: true, maxChainDepth: 256 },
+];
+
+for (const config of configs) {
+  const { result, ms } = time(() => compressLZ77(input, config));
+  const roundTrip = decompressLZ77(result).equals(input) ? "ok" : "MISMATCH";
+  console.log(
+    `${config.label.padEnd(16)} window ${String(config.windowSize).padEnd(6)} ${ms.toFixed(0).padStart(7)} ms  ${throughput(ms).padStart(12)}  ` +
+      `${result.length} bytes, round trip ${roundTrip}`
+  );
+}
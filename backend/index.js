@@ -4,10 +4,42 @@ const cors = require("cors");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
-
-const { compressHuffman, decompressHuffman } = require("./algorithms/huffman");
-const { compressRLE, decompressRLE } = require("./algorithms/rle");
-const { compressLZ77, decompressLZ77 } = require("./algorithms/lz77");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+
+const { getCodec, listCodecs, describeCodec, resolveParams } = require("./algorithms");
+const { createHeader, readHeaderFromFile } = require("./algorithms/container");
+const { DEFAULT_BLOCK_SIZE } = require("./algorithms/stream");
+const { readSample, selectCodec } = require("./algorithms/auto");
+const { isTextFile, analyzeFile } = require("./algorithms/analyze");
+const { measureFileEntropy, describeEfficiency } = require("./algorithms/entropy");
+const {
+  resolvePipeline,
+  restorePipeline,
+  createPipelineCodec,
+} = require("./algorithms/pipeline");
+const { listTransforms, describeTransform } = require("./algorithms/transforms");
+const { readGzipHeader } = require("./algorithms/gzip");
+const { traceLZ77 } = require("./algorithms/lz77");
+const { traceRLE } = require("./algorithms/rle");
+const { runBenchmark } = require("./algorithms/benchmark");
+const { crc32File } = require("./algorithms/crc32");
+const { inspectFile } = require("./algorithms/inspect");
+const {
+  detectStandardFormat,
+  standardOutputName,
+  toCodecError,
+  createStandardDecompressStream,
+  readZipEntries,
+  extractZipEntry,
+  describeZipMethod,
+} = require("./algorithms/formats");
+const {
+  CodecError,
+  SizeMismatchError,
+  ChecksumMismatchError,
+  InvalidParameterError,
+} = require("./algorithms/errors");
 
 const app = express();
 app.use(cors());
@@ -15,25 +47,219 @@ app.use(express.json());
 
 const upload = multer({ dest: "uploads/" });
 
-// Helper function to determine if file is text
-function isTextFile(buffer) {
-  // Simple heuristic: check if most bytes are printable ASCII
-  let textBytes = 0;
-  const sampleSize = Math.min(1000, buffer.length);
-
-  for (let i = 0; i < sampleSize; i++) {
-    const byte = buffer[i];
-    if (
-      (byte >= 32 && byte <= 126) ||
-      byte === 9 ||
-      byte === 10 ||
-      byte === 13
-    ) {
-      textBytes++;
+// Only the first bytes are needed to recognise a file format
+function readFileSample(filePath, size = 1000) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const sample = Buffer.alloc(size);
+    const bytesRead = fs.readSync(fd, sample, 0, size, 0);
+    return sample.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Streaming codecs are piped block by block; the rest compress the file in one piece
+async function compressToFile(codec, inputPath, outputPath, header, params) {
+  if (codec.capabilities.streaming) {
+    const output = fs.createWriteStream(outputPath);
+    output.write(header);
+    await pipeline(fs.createReadStream(inputPath), codec.createCompressStream(params), output);
+  } else {
+    const compressed = codec.compress(fs.readFileSync(inputPath), params);
+    fs.writeFileSync(outputPath, Buffer.concat([header, compressed]));
+  }
+}
+
+// Block-framed payloads and standard formats such as gzip stream straight through the
+// codec; single payloads, and raw codec output without a container, are decoded in one piece
+async function decompressToFile(codec, inputPath, outputPath, header, params, strict) {
+  const standardStream = !header && codec.capabilities.standardFormat && codec.capabilities.streaming;
+  if ((header && header.blocked) || standardStream) {
+    try {
+      await pipeline(
+        fs.createReadStream(inputPath, { start: header ? header.headerLength : 0 }),
+        codec.createDecompressStream(params, { strict }),
+        fs.createWriteStream(outputPath)
+      );
+    } catch (error) {
+      // zlib-backed streams such as gzip fail with plain zlib errors
+      throw toCodecError(error, `${codec.id} stream`);
     }
+  } else {
+    const buffer = fs.readFileSync(inputPath);
+    const payload = header ? buffer.subarray(header.headerLength) : buffer;
+    const decompressed = codec.decompress(payload, { strict, params });
+
+    // Write decompressed data as buffer to preserve binary data
+    fs.writeFileSync(outputPath, decompressed);
+  }
+}
+
+// Compares decompressed output with the size and CRC-32 the container recorded for
+// the original. Raw codec output carries neither, and files from before container
+// version 4 have no checksum.
+async function checkDecompressed(header, outputPath, strict) {
+  const decompressedSize = fs.statSync(outputPath).size;
+  if (!header) return { decompressedSize, checksum: null };
+
+  if (strict && decompressedSize !== header.originalSize) {
+    throw new SizeMismatchError(header.originalSize, decompressedSize);
+  }
+  if (header.checksum === null) return { decompressedSize, checksum: null };
+
+  const actual = await crc32File(outputPath);
+  if (strict && actual !== header.checksum) {
+    throw new ChecksumMismatchError(header.checksum, actual);
+  }
+  return {
+    decompressedSize,
+    checksum: {
+      algorithm: "CRC-32",
+      expected: header.checksum.toString(16).padStart(8, "0"),
+      actual: actual.toString(16).padStart(8, "0"),
+      match: actual === header.checksum,
+    },
+  };
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+// Decompresses a file /compress just wrote and compares it with the upload. A
+// failure to decode is reported rather than thrown, since the compressed file exists.
+async function verifyRoundTrip(codec, compressedPath, originalPath, params) {
+  const header = readHeaderFromFile(compressedPath);
+  const decodedPath = `${compressedPath}.verify`;
+  try {
+    const originalSha256 = await sha256File(originalPath);
+    try {
+      await decompressToFile(codec, compressedPath, decodedPath, header, params, true);
+      await checkDecompressed(header, decodedPath, true);
+    } catch (error) {
+      if (!(error instanceof CodecError)) throw error;
+      return { match: false, originalSha256, decompressedSha256: null, error: error.message };
+    }
+
+    const decompressedSha256 = await sha256File(decodedPath);
+    return { match: decompressedSha256 === originalSha256, originalSha256, decompressedSha256 };
+  } finally {
+    fs.rmSync(decodedPath, { force: true });
+  }
+}
+
+// Size figures shared by every decompression response; the uploaded file is the compressed one
+function decompressionStats(compressedSize, decompressedSize) {
+  // Calculate compression ratio (how much the original was compressed);
+  // empty output (an empty archive, or nothing recovered in lenient mode) has none
+  const compressionRatio = decompressedSize > 0
+    ? ((compressedSize / decompressedSize) * 100).toFixed(2)
+    : "0.00";
+
+  // Calculate space saved
+  const spaceSaved = decompressedSize - compressedSize;
+  const spaceSavedPercentage = decompressedSize > 0
+    ? (((decompressedSize - compressedSize) / decompressedSize) * 100).toFixed(2)
+    : "0.00";
+
+  return {
+    originalSize: decompressedSize, // The decompressed size is the original size
+    compressedSize: compressedSize,
+    decompressedSize: decompressedSize,
+    ratio: compressionRatio + "%",
+    spaceSaved: spaceSaved,
+    spaceSavedPercentage: spaceSavedPercentage + "%",
+  };
+}
+
+// gzip and zlib stream through Node's inflater; zip archives are read whole and
+// every file entry is written out separately with its own download path
+async function decompressStandardFile(file, format, strict) {
+  const outputDir = path.dirname(file.path);
+  const base = {
+    algorithm: format,
+    algorithmDetected: true,
+    standardFormat: format,
+    params: {},
+    autoSelected: false,
+    message: "File decompressed successfully.",
+  };
+
+  if (format === "zip") {
+    const archive = fs.readFileSync(file.path);
+    const entries = readZipEntries(archive).map((entry, index) => {
+      const listing = {
+        name: entry.name,
+        directory: entry.directory,
+        method: describeZipMethod(entry.method),
+        compressedSize: entry.compressedSize,
+        size: entry.size,
+        downloadPath: null,
+      };
+      if (entry.directory) {
+        return listing;
+      }
+
+      // Entries are numbered so equal names from different folders do not collide
+      const filename = path.basename(entry.name);
+      const downloadPath = `decompressed_${index + 1}_${filename}`;
+      const data = extractZipEntry(archive, entry, { strict });
+      fs.writeFileSync(path.join(outputDir, downloadPath), data);
+      return { ...listing, size: data.length, filename, downloadPath };
+    });
+
+    const files = entries.filter((entry) => !entry.directory);
+    const single = files.length === 1 ? files[0] : null;
+    return {
+      // A single file downloads directly; several are listed for one-by-one download
+      downloadPath: single ? single.downloadPath : null,
+      ...decompressionStats(file.size, files.reduce((total, entry) => total + entry.size, 0)),
+      originalFilename: single ? single.filename : standardOutputName(file.originalname),
+      entries,
+      ...base,
+    };
   }
 
-  return textBytes / sampleSize > 0.7;
+  // gzip tools usually store the original filename in the header
+  const storedName = format === "gzip" ? readGzipHeader(readFileSample(file.path, 64 * 1024)).name : null;
+  const decompressedFilename = storedName
+    ? path.basename(storedName)
+    : standardOutputName(file.originalname);
+  const decompressedPath = path.join(outputDir, "decompressed_" + decompressedFilename);
+
+  try {
+    await pipeline(
+      fs.createReadStream(file.path),
+      createStandardDecompressStream(format, { strict }),
+      fs.createWriteStream(decompressedPath)
+    );
+  } catch (error) {
+    throw toCodecError(error, `${format} stream`);
+  }
+
+  return {
+    downloadPath: path.basename(decompressedPath),
+    ...decompressionStats(file.size, fs.statSync(decompressedPath).size),
+    originalFilename: decompressedFilename,
+    ...base,
+  };
+}
+
+// Codec parameters and pipeline stages arrive as JSON in multipart form fields
+function parseJsonField(field, name, fallback) {
+  if (field === undefined || field === "") {
+    return fallback;
+  }
+  try {
+    return JSON.parse(field);
+  } catch (error) {
+    throw new InvalidParameterError(name, `The "${name}" field must be valid JSON.`);
+  }
 }
 
 // Helper function to get file extension
@@ -43,7 +269,7 @@ function getFileExtension(filename) {
 
 // Helper function to remove compression extension
 function removeCompressionExtension(filename, algorithm) {
-  const compressionExts = [".huffman", ".rle", ".lz77"];
+  const compressionExts = listCodecs().map((codec) => `.${codec.extension}`);
   const ext = path.extname(filename);
 
   if (compressionExts.includes(ext)) {
@@ -52,159 +278,353 @@ function removeCompressionExtension(filename, algorithm) {
   return filename;
 }
 
+// Typed codec errors become 4xx responses with a machine-readable code;
+// anything else is a server fault
+function sendError(res, error, action) {
+  if (error instanceof CodecError) {
+    return res.status(error.status).json({
+      error: `${action} failed: ${error.message}`,
+      code: error.code,
+      ...(error.param && { param: error.param }),
+    });
+  }
+
+  console.error(`${action} error:`, error);
+  res.status(500).json({ error: `${action} failed: ${error.message}` });
+}
+
+// Routes that only work on an upload answer 400 instead of failing on a missing req.file
+function requireUpload(req) {
+  if (!req.file) {
+    throw new InvalidParameterError("file", "Choose a file to upload.");
+  }
+  return req.file;
+}
+
+function sendUnsupportedAlgorithm(res, algo) {
+  res.status(400).json({
+    error: `Unsupported algorithm: ${algo}`,
+    code: "UNSUPPORTED_ALGORITHM",
+  });
+}
+
 app.post("/compress", upload.single("file"), async (req, res) => {
-  const algo = req.body.algorithm;
+  try {
+    requireUpload(req);
+  } catch (error) {
+    return sendError(res, error, "Compression");
+  }
+
   const originalPath = req.file.path;
-  const buffer = fs.readFileSync(originalPath);
   const originalFilename = req.file.originalname;
-  const fileExtension = path.extname(originalFilename);
-
-  // Store original filename and extension for proper download
-  const compressedFilename = `${originalFilename}.${algo}`;
-  const metadata = {
-    originalFilename: originalFilename,
-    originalExtension: fileExtension,
-    algorithm: algo,
-    isText: isTextFile(buffer),
-  };
+  const originalSize = req.file.size;
+  let algo = req.body.algorithm;
 
-  let compressed, compressedPath;
+  let rawParams;
+  let rawPipeline;
+  try {
+    rawParams = parseJsonField(req.body.params, "params", {});
+    rawPipeline = parseJsonField(req.body.pipeline, "pipeline", null);
+  } catch (error) {
+    return sendError(res, error, "Compression");
+  }
 
+  // Auto mode uses each codec's defaults and pipeline stages carry their own parameters
+  if ((algo === "auto" || algo === "pipeline") && rawParams && Object.keys(rawParams).length > 0) {
+    return sendError(
+      res,
+      new InvalidParameterError("params", "Parameters need a single explicit algorithm; they do not apply to auto mode or pipelines."),
+      "Compression"
+    );
+  }
+
+  // "auto" tries every codec first and compresses with the one that wins
+  let selection = null;
+  if (algo === "auto") {
+    try {
+      selection = selectCodec(originalPath, originalSize);
+    } catch (error) {
+      return sendError(res, error, "Compression");
+    }
+    algo = selection.algorithm;
+  }
+
+  let codec;
+  let params;
   try {
-    if (algo === "huffman") {
-      // Huffman works with text, so convert to string if it's a text file
-      const isText = isTextFile(buffer);
-      const input = isText ? buffer.toString("utf-8") : buffer;
-      compressed = compressHuffman(input, isText);
-
-      compressedPath = path.join(
-        path.dirname(originalPath),
-        compressedFilename
-      );
-      // Write as buffer to preserve binary data
-      fs.writeFileSync(compressedPath, compressed.data);
-    } else if (algo === "rle") {
-      // RLE can work with both text and binary
-      const isText = isTextFile(buffer);
-      const input = isText ? buffer.toString("utf-8") : buffer;
-      compressed = compressRLE(input, isText);
-
-      compressedPath = path.join(
-        path.dirname(originalPath),
-        compressedFilename
-      );
-      fs.writeFileSync(compressedPath, compressed.data);
-    } else if (algo === "lz77") {
-      // LZ77 works directly with binary data
-      compressed = compressLZ77(buffer);
-      compressedPath = path.join(
-        path.dirname(originalPath),
-        compressedFilename
-      );
-      fs.writeFileSync(compressedPath, compressed);
+    if (algo === "pipeline") {
+      // The resolved chain is stored as the container's parameters
+      const stages = resolvePipeline(rawPipeline);
+      codec = createPipelineCodec(stages);
+      params = { stages };
     } else {
-      return res.status(400).send("Unsupported algorithm");
+      codec = getCodec(algo);
+      if (!codec) {
+        return sendUnsupportedAlgorithm(res, algo);
+      }
+      params = resolveParams(codec, rawParams);
     }
+  } catch (error) {
+    return sendError(res, error, "Compression");
+  }
 
-    // Write metadata file for proper decompression
-    const metadataPath = compressedPath + ".meta";
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata));
+  // Original filename, size and codec parameters travel inside the container header.
+  // Standard formats such as gzip are written bare so other tools can open them.
+  const compressedFilename = `${originalFilename}.${codec.extension}`;
+  const compressedPath = path.join(path.dirname(originalPath), compressedFilename);
+  const header = codec.capabilities.standardFormat
+    ? Buffer.alloc(0)
+    : createHeader({
+        algorithm: algo,
+        originalFilename: originalFilename,
+        originalSize: originalSize,
+        isText: isTextFile(readSample(originalPath, originalSize).sample),
+        blocked: codec.capabilities.streaming,
+        autoSelected: selection !== null,
+        params,
+        checksum: await crc32File(originalPath),
+      });
+
+  try {
+    await compressToFile(codec, originalPath, compressedPath, header, params);
 
     const compressedSize = fs.statSync(compressedPath).size;
-    const compressionRatio = ((compressedSize / buffer.length) * 100).toFixed(
-      2
+    const compressionRatio = originalSize > 0
+      ? ((compressedSize / originalSize) * 100).toFixed(2)
+      : "0.00";
+
+    // Teaching views: how the codec encoded the data. Streaming codecs build a table per
+    // block, so the first block's is the one shown.
+    const explanation =
+      req.body.explain === "true" && codec.capabilities.explainable
+        ? {
+            ...codec.explain(readFileSample(originalPath, DEFAULT_BLOCK_SIZE), params),
+            wholeFile: originalSize <= DEFAULT_BLOCK_SIZE,
+          }
+        : null;
+
+    const verification = req.body.verify === "true"
+      ? await verifyRoundTrip(codec, compressedPath, originalPath, params)
+      : null;
+
+    // Entropy bounds for the upload, compared with the codec output (container header excluded)
+    const entropy = describeEfficiency(
+      await measureFileEntropy(originalPath),
+      compressedSize - header.length
     );
 
     res.json({
       downloadPath: path.basename(compressedPath),
-      originalSize: buffer.length,
+      originalSize: originalSize,
       compressedSize: compressedSize,
       ratio: compressionRatio + "%",
       originalFilename: compressedFilename,
       algorithm: algo,
+      params,
+      entropy,
+      ...(explanation && { explanation }),
+      ...(verification && { verification }),
+      ...(algo === "pipeline" && { pipelineName: codec.name }),
+      ...(selection && {
+        autoSelected: true,
+        selectionReason: selection.reason,
+        sampled: selection.sampled,
+        sampleSize: selection.sampleSize,
+        comparison: selection.comparison,
+      }),
       message: "File compressed successfully.",
     });
   } catch (error) {
-    console.error("Compression error:", error);
-    res.status(500).json({ error: "Compression failed: " + error.message });
+    sendError(res, error, "Compression");
   }
 });
 
 app.post("/decompress", upload.single("file"), async (req, res) => {
-  const algo = req.body.algorithm;
+  try {
+    requireUpload(req);
+  } catch (error) {
+    return sendError(res, error, "Decompression");
+  }
+
   const originalPath = req.file.path;
-  const buffer = fs.readFileSync(originalPath);
   const uploadedFilename = req.file.originalname;
+  // Strict validation is on unless the client explicitly opts out
+  const strict = req.body.strict !== "false";
 
-  // Try to read metadata file first
-  let metadata = null;
-  const possibleMetadataPath = path.join(
-    path.dirname(originalPath),
-    uploadedFilename + ".meta"
-  );
+  // Files written by /compress carry a container header naming the algorithm;
+  // the form field is only a fallback for raw codec output
+  let algo = req.body.algorithm;
+  let header = null;
 
-  // Generate decompressed filename
-  let decompressedFilename = removeCompressionExtension(uploadedFilename, algo);
+  try {
+    header = readHeaderFromFile(originalPath);
+  } catch (error) {
+    return sendError(res, error, "Decompression");
+  }
+  if (header) {
+    algo = header.algorithm;
+  }
 
-  // If no extension after removing compression extension, try to restore from metadata
-  if (
-    !path.extname(decompressedFilename) &&
-    metadata &&
-    metadata.originalExtension
-  ) {
-    decompressedFilename += metadata.originalExtension;
+  // gzip, zlib and zip files from other tools carry no container header;
+  // their own magic bytes say what they are, whatever algorithm was selected
+  const standardFormat = header ? null : detectStandardFormat(readFileSample(originalPath, 4));
+  if (standardFormat) {
+    try {
+      return res.json(await decompressStandardFile(req.file, standardFormat, strict));
+    } catch (error) {
+      return sendError(res, error, "Decompression");
+    }
   }
 
+  // Restore the original filename from the header when we have one
+  const decompressedFilename = header && header.originalFilename
+    ? path.basename(header.originalFilename)
+    : removeCompressionExtension(uploadedFilename, algo);
+
   const decompressedPath = path.join(
     path.dirname(originalPath),
     "decompressed_" + decompressedFilename
   );
 
+  // Parameters recorded at compression time; raw codec output has none
+  const params = header ? header.params : {};
+
+  // Pipelines are rebuilt from the chain recorded in the header
+  let codec;
   try {
-    let decompressed;
-
-    if (algo === "huffman") {
-      decompressed = decompressHuffman(buffer);
-    } else if (algo === "rle") {
-      decompressed = decompressRLE(buffer);
-    } else if (algo === "lz77") {
-      decompressed = decompressLZ77(buffer);
-    } else {
-      return res.status(400).send("Unsupported algorithm");
-    }
+    codec = header && algo === "pipeline"
+      ? createPipelineCodec(restorePipeline(params.stages))
+      : getCodec(algo);
+  } catch (error) {
+    return sendError(res, error, "Decompression");
+  }
+  if (!codec) {
+    return sendUnsupportedAlgorithm(res, algo);
+  }
 
-    // Write decompressed data as buffer to preserve binary data
-    fs.writeFileSync(decompressedPath, decompressed);
-
-    // Get file sizes for statistics
-    const compressedSize = buffer.length; // Size of the compressed file that was uploaded
-    const decompressedSize = fs.statSync(decompressedPath).size; // Size after decompression
-    
-    // Calculate compression ratio (how much the original was compressed)
-    const compressionRatio = ((compressedSize / decompressedSize) * 100).toFixed(2);
-    
-    // Calculate space saved
-    const spaceSaved = decompressedSize - compressedSize;
-    const spaceSavedPercentage = (((decompressedSize - compressedSize) / decompressedSize) * 100).toFixed(2);
+  try {
+    await decompressToFile(codec, originalPath, decompressedPath, header, params, strict);
+    const { decompressedSize, checksum } = await checkDecompressed(header, decompressedPath, strict);
 
     res.json({
       downloadPath: path.basename(decompressedPath),
-      originalSize: decompressedSize, // The decompressed size is the original size
-      compressedSize: compressedSize, // The uploaded file size was the compressed size
-      decompressedSize: decompressedSize,
-      ratio: compressionRatio + "%",
-      spaceSaved: spaceSaved,
-      spaceSavedPercentage: spaceSavedPercentage + "%",
+      ...decompressionStats(req.file.size, decompressedSize),
       originalFilename: decompressedFilename,
       algorithm: algo,
+      algorithmDetected: header !== null,
+      params,
+      checksum,
+      ...(codec.id === "pipeline" && { pipelineName: codec.name }),
+      autoSelected: header !== null && header.autoSelected,
       message: "File decompressed successfully.",
     });
   } catch (error) {
-    console.error("Decompression error:", error);
-    res.status(500).json({ error: "Decompression failed: " + error.message });
+    sendError(res, error, "Decompression");
   }
 });
 
+// Statistics shown before an algorithm is picked, with a predicted best codec
+app.post("/analyze", upload.single("file"), async (req, res) => {
+  try {
+    requireUpload(req);
+    const analysis = await analyzeFile(req.file.path, req.file.size);
+    res.json({ originalFilename: req.file.originalname, ...analysis });
+  } catch (error) {
+    sendError(res, error, "Analysis");
+  }
+});
+
+// Teaching views send either a small upload or a text snippet, plus codec parameters
+function readTraceRequest(req, codecId) {
+  return {
+    input: req.file ? fs.readFileSync(req.file.path) : Buffer.from(req.body?.text || "", "utf8"),
+    params: resolveParams(getCodec(codecId), parseJsonField(req.body?.params, "params", {})),
+  };
+}
+
+// Token-by-token LZ77 encoding of a small upload or text snippet for the step-through view
+app.post("/lz77/trace", upload.single("file"), (req, res) => {
+  try {
+    const { input, params } = readTraceRequest(req, "lz77");
+    const { header, stream, tokens } = traceLZ77(input, params);
+    res.json({
+      input: Array.from(input),
+      params,
+      originalSize: input.length,
+      compressedSize: header.length + stream.length,
+      headerSize: header.length,
+      stream: Array.from(stream),
+      tokens,
+    });
+  } catch (error) {
+    sendError(res, error, "Trace");
+  }
+});
+
+// Runs, literals and escaped bytes of a small input for the RLE explorer
+app.post("/rle/trace", upload.single("file"), (req, res) => {
+  try {
+    const { input, params } = readTraceRequest(req, "rle");
+    const { header, stream, segments } = traceRLE(input, params);
+    res.json({
+      input: Array.from(input),
+      params,
+      originalSize: input.length,
+      compressedSize: header.length + stream.length,
+      header: Array.from(header),
+      stream: Array.from(stream),
+      segments,
+    });
+  } catch (error) {
+    sendError(res, error, "Trace");
+  }
+});
+
+// Labelled byte regions of a compressed file for the hex inspector. Files without a
+// container need the algorithm (or a codec's extension in the filename); offset
+// pages through files larger than one view.
+app.post("/inspect", upload.single("file"), async (req, res) => {
+  try {
+    requireUpload(req);
+    const offset = req.body.offset === undefined || req.body.offset === "" ? null : Number(req.body.offset);
+    if (offset !== null && !(Number.isInteger(offset) && offset >= 0)) {
+      throw new InvalidParameterError("offset", "Offset must be a non-negative integer.");
+    }
+
+    const inspection = await inspectFile(req.file.path, req.file.size, {
+      algorithm: req.body.algorithm || null,
+      filename: req.file.originalname,
+      offset,
+    });
+    res.json({ originalFilename: req.file.originalname, ...inspection });
+  } catch (error) {
+    sendError(res, error, "Inspection");
+  }
+});
+
+// Runs every registered codec on one upload for the comparison view
+app.post("/benchmark", upload.single("file"), async (req, res) => {
+  try {
+    requireUpload(req);
+    const results = await runBenchmark(req.file.path, req.file.size);
+    res.json({
+      originalFilename: req.file.originalname,
+      originalSize: req.file.size,
+      results,
+    });
+  } catch (error) {
+    sendError(res, error, "Benchmark");
+  }
+});
+
+// Codec and transform lists for the frontend's algorithm picker and pipeline builder
+app.get("/algorithms", (req, res) => {
+  res.json({
+    algorithms: listCodecs().map(describeCodec),
+    transforms: listTransforms().map(describeTransform),
+  });
+});
+
 // Serve files for download with proper headers and MIME types
 app.get("/download/:filename", (req, res) => {
   const filename = req.params.filename;
@@ -233,6 +653,7 @@ app.get("/download/:filename", (req, res) => {
     ".svg": "image/svg+xml",
     ".pdf": "application/pdf",
     ".zip": "application/zip",
+    ".gz": "application/gzip",
     ".rar": "application/x-rar-compressed",
     ".7z": "application/x-7z-compressed",
     ".mp4": "video/mp4",
@@ -292,10 +713,15 @@ const cleanupOldFiles = () => {
   });
 };
 
-// Run cleanup every hour
-setInterval(cleanupOldFiles, 60 * 60 * 1000);
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+  // Run cleanup every hour
+  setInterval(cleanupOldFiles, 60 * 60 * 1000);
+
+  const PORT = 4000;
+  app.listen(PORT, () =>
+    console.log(`Server running on http://localhost:${PORT}`)
+  );
+}
 
-const PORT = 4000;
-app.listen(PORT, () =>
-  console.log(`Server running on http://localhost:${PORT}`)
-);
+module.exports = app;
@@ -1,12 +1,24 @@
+// File: server/script.js
+// Builds the repetitive sample.txt used by the benchmarks; the corpus reuses it.
+// Usage: node script.js
+
 const fs = require("fs");
+const path = require("path");
+
+function generateSample() {
+  let str = "";
+  for (let i = 0; i < 10000; i++) {
+    str += "AAAAABBBBCCCCDDDDDEEEEE\n";
+    str += "The quick brown fox jumps over the lazy dog.\n";
+    str += "HELLOHELLOHELLOHELLO\n";
+    str += "12345123451234512345\n";
+  }
+  return str;
+}
 
-let str = "";
-for (let i = 0; i < 10000; i++) {
-  str += "AAAAABBBBCCCCDDDDDEEEEE\n";
-  str += "The quick brown fox jumps over the lazy dog.\n";
-  str += "HELLOHELLOHELLOHELLO\n";
-  str += "12345123451234512345\n";
+if (require.main === module) {
+  fs.writeFileSync(path.join(__dirname, "sample.txt"), generateSample());
+  console.log("Large sample.txt created ✅");
 }
 
-fs.writeFileSync("sample.txt", str);
-console.log("Large sample.txt created ✅");
+module.exports = { generateSample };
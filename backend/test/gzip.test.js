@@ -0,0 +1,61 @@
+// File: server/test/gzip.test.js
+// Our gzip encoder must produce files that other tools open: every block type is
+// checked against Node's own zlib decoder
+
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { getCodec } = require("../algorithms");
+const { compressGzip } = require("../algorithms/gzip");
+
+// Deterministic pseudo-random bytes so a failure can be reproduced
+function randomBytes(length, seed = 12345) {
+  const bytes = Buffer.alloc(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    bytes[i] = state >> 16;
+  }
+  return bytes;
+}
+
+const text = Buffer.from(
+  "It was the best of times, it was the worst of times, it was the age of wisdom, ".repeat(400)
+);
+
+const inputs = {
+  empty: Buffer.alloc(0),
+  "one byte": Buffer.from("x"),
+  text,
+  random: randomBytes(100000),
+  mixed: Buffer.concat([text, randomBytes(20000, 99), Buffer.alloc(30000, 0x41), text.subarray(0, 5000)]),
+};
+
+for (const blockType of ["stored", "fixed", "dynamic", "auto"]) {
+  for (const [name, input] of Object.entries(inputs)) {
+    test(`${blockType} blocks, ${name} input: zlib.gunzipSync returns the input`, () => {
+      const { data } = compressGzip(input, { blockType });
+      assert.ok(zlib.gunzipSync(data).equals(input));
+    });
+  }
+}
+
+// Streams emit one gzip member per 1 MB block; gunzip reads them as one file
+async function compressStream(input) {
+  const chunks = [];
+  const stream = getCodec("gzip").createCompressStream({ blockType: "auto" });
+  for await (const chunk of Readable.from([input.subarray(0, 70000), input.subarray(70000)]).pipe(stream)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+test("streamed empty input is still a valid gzip file", async () => {
+  assert.strictEqual(zlib.gunzipSync(await compressStream(Buffer.alloc(0))).length, 0);
+});
+
+test("streamed input larger than a block gunzips to the input", async () => {
+  const input = Buffer.concat([randomBytes(700000, 7), Buffer.from(text.toString().repeat(12))]);
+  assert.ok(zlib.gunzipSync(await compressStream(input)).equals(input));
+});
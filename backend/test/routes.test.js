@@ -0,0 +1,101 @@
+// File: server/test/routes.test.js
+// Upload routes end to end: every failure must reach the client as a typed 4xx error
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { getCodec } = require("../algorithms");
+const { parseHeader } = require("../algorithms/container");
+const app = require("../index");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+// Posts a multipart form; file is { name, data } or left out
+async function post(route, fields = {}, file = null) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  if (file) form.append("file", new Blob([file.data]), file.name);
+  const response = await fetch(`${baseUrl}${route}`, { method: "POST", body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+test("a damaged gzip upload is rejected with a typed error", async () => {
+  const data = zlib.gzipSync(Buffer.from("hello gzip ".repeat(200)));
+  data.fill(0xff, 10, 30);
+  const { status, body } = await post("/decompress", { algorithm: "gzip" }, { name: "bad.gz", data });
+  assert.strictEqual(status, 422);
+  assert.strictEqual(body.code, "CORRUPT_STREAM");
+});
+
+test("a non-gzip upload decompressed as gzip is rejected with a typed error", async () => {
+  const data = Buffer.from("plain text, not compressed at all");
+  const { status, body } = await post("/decompress", { algorithm: "gzip" }, { name: "plain.gz", data });
+  assert.strictEqual(status, 422);
+  assert.strictEqual(body.code, "CORRUPT_STREAM");
+});
+
+// Compresses text with a block-framed codec and returns the file /compress wrote
+async function compressFramed(algorithm) {
+  const data = Buffer.from("lenient mode keeps what it can. ".repeat(300));
+  const { body } = await post("/compress", { algorithm }, { name: "framed.txt", data });
+  return fs.readFileSync(path.resolve("uploads", body.downloadPath));
+}
+
+test("lenient mode passes a damaged block of a framed file through", async () => {
+  const file = await compressFramed("huffman");
+  const { headerLength, blocked } = parseHeader(file);
+  assert.ok(blocked);
+  // First byte of the Huffman block's magic, just after the 8-byte frame header
+  file[headerLength + 8] ^= 0xff;
+
+  const strict = await post("/decompress", {}, { name: "framed.txt.huffman", data: file });
+  assert.strictEqual(strict.status, 415);
+  assert.strictEqual(strict.body.code, "INVALID_FORMAT");
+
+  const lenient = await post("/decompress", { strict: "false" }, { name: "framed.txt.huffman", data: file });
+  assert.strictEqual(lenient.status, 200);
+  assert.strictEqual(lenient.body.checksum.match, false);
+});
+
+test("lenient mode decodes a framed file cut off inside its last frame", async () => {
+  const file = await compressFramed("rle");
+  const cut = file.subarray(0, file.length - 3);
+
+  const strict = await post("/decompress", {}, { name: "framed.txt.rle", data: cut });
+  assert.strictEqual(strict.status, 422);
+  assert.strictEqual(strict.body.code, "TRUNCATED");
+
+  const lenient = await post("/decompress", { strict: "false" }, { name: "framed.txt.rle", data: cut });
+  assert.strictEqual(lenient.status, 200);
+});
+
+for (const route of ["/compress", "/decompress", "/analyze", "/benchmark", "/inspect"]) {
+  test(`${route} without a file answers 400`, async () => {
+    const { status, body } = await post(route, { algorithm: "huffman" });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, "INVALID_PARAMETER");
+    assert.strictEqual(body.param, "file");
+  });
+}
+
+test("/analyze predicts a codec auto mode can pick for repetitive binary data", async () => {
+  const record = Buffer.from(Array.from({ length: 64 }, (_, i) => (i * 37) & 0xff));
+  const data = Buffer.concat(Array.from({ length: 200 }, (_, i) => Buffer.concat([record, Buffer.from([i])])));
+  const { status, body } = await post("/analyze", {}, { name: "records.bin", data });
+  assert.strictEqual(status, 200);
+  assert.ok(body.prediction);
+  assert.ok(!getCodec(body.prediction.algorithm).capabilities.standardFormat, body.prediction.algorithm);
+});
@@ -1,10 +1,61 @@
-import React from "react";
+import React, { useState } from "react";
 import FileUploader from "./components/FileUploader";
+import BenchmarkView from "./components/BenchmarkView";
+import LZ77TraceView from "./components/LZ77TraceView";
+import RLEExplorer from "./components/RLEExplorer";
+import HexInspector from "./components/HexInspector";
+
+const tabs = [
+  { key: "tool", label: "Compress / Decompress" },
+  { key: "benchmark", label: "Benchmark" },
+  { key: "lz77", label: "LZ77 Trace" },
+  { key: "rle", label: "RLE Explorer" },
+  { key: "inspect", label: "Hex Inspector" },
+];
 
 export default function App() {
+  const [tab, setTab] = useState("tool");
+  // Set when another view hands a file to the inspector
+  const [inspectRequest, setInspectRequest] = useState(null);
+
+  const openInspector = (file, algorithm) => {
+    setInspectRequest({ file, algorithm });
+    setTab("inspect");
+  };
+
+  // Every view stays mounted so switching tabs keeps uploads and results
   return (
-    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
-      <FileUploader />
+    <div className="min-h-screen bg-gray-100">
+      <nav className="flex justify-center gap-2 pt-6">
+        {tabs.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`px-4 py-2 rounded font-medium transition-colors ${
+              tab === key
+                ? "bg-blue-600 text-white"
+                : "bg-white text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </nav>
+      <div className={tab === "tool" ? "" : "hidden"}>
+        <FileUploader onInspect={openInspector} />
+      </div>
+      <div className={tab === "benchmark" ? "" : "hidden"}>
+        <BenchmarkView />
+      </div>
+      <div className={tab === "lz77" ? "" : "hidden"}>
+        <LZ77TraceView />
+      </div>
+      <div className={tab === "rle" ? "" : "hidden"}>
+        <RLEExplorer />
+      </div>
+      <div className={tab === "inspect" ? "" : "hidden"}>
+        <HexInspector request={inspectRequest} />
+      </div>
     </div>
   );
 }
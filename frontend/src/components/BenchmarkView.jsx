@@ -0,0 +1,279 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { UploadCloud, BarChart3, CheckCircle, XCircle } from "lucide-react";
+import { formatFileSize } from "../utils/format";
+
+const backendUrl = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+// Smaller output is better for ratio, higher throughput is better for speed
+const sortOptions = [
+  {
+    key: "ratio",
+    label: "Ratio",
+    value: (entry) => entry.compressedSize,
+    ascending: true,
+  },
+  {
+    key: "compress",
+    label: "Compress speed",
+    value: (entry) => entry.compressMBps,
+    ascending: false,
+  },
+  {
+    key: "decompress",
+    label: "Decompress speed",
+    value: (entry) => entry.decompressMBps,
+    ascending: false,
+  },
+];
+
+function Bar({ label, value, max, color, text }) {
+  const width = max > 0 && value !== null ? Math.min(100, (value / max) * 100) : 0;
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      <span className="w-24 shrink-0 text-gray-500">{label}</span>
+      <div className="flex-1 h-2 bg-gray-200 rounded">
+        <div className={`h-2 rounded ${color}`} style={{ width: `${width}%` }} />
+      </div>
+      <span className="w-24 shrink-0 text-right text-gray-700">{text}</span>
+    </div>
+  );
+}
+
+export default function BenchmarkView() {
+  const [file, setFile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState(null);
+  const [sortBy, setSortBy] = useState("ratio");
+
+  const handleRun = async () => {
+    if (!file) {
+      alert("Please select a file.");
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    const formData = new FormData();
+    formData.append("file", file);
+
+    try {
+      const res = await axios.post(`${backendUrl}/benchmark`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      setReport(res.data);
+    } catch (err) {
+      console.error("Error running benchmark:", err);
+      setReport(null);
+      setError({
+        message: err.response?.data?.error || err.message,
+        code: err.response?.data?.code,
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const sortOption = sortOptions.find((option) => option.key === sortBy);
+  // Failed codecs have no numbers and always go last
+  const results = report
+    ? [...report.results].sort((a, b) => {
+        const left = a.error ? null : sortOption.value(a);
+        const right = b.error ? null : sortOption.value(b);
+        if (left === null) return 1;
+        if (right === null) return -1;
+        return sortOption.ascending ? left - right : right - left;
+      })
+    : [];
+
+  const succeeded = results.filter((entry) => !entry.error);
+  const maxCompress = Math.max(0, ...succeeded.map((entry) => entry.compressMBps || 0));
+  const maxDecompress = Math.max(0, ...succeeded.map((entry) => entry.decompressMBps || 0));
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto bg-gray-50 min-h-screen">
+      <h1 className="text-4xl font-bold text-center mb-2 text-gray-800">
+        Algorithm Benchmark
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        Run every algorithm on one file and compare size, speed and memory side by side
+      </p>
+
+      <div className="space-y-6">
+        <div className="border rounded-lg shadow-lg bg-white">
+          <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
+            <h2 className="text-xl font-semibold">Benchmark a File</h2>
+            <p className="text-sm opacity-90">
+              Each algorithm compresses and decompresses the file in its own
+              process with default parameters
+            </p>
+          </div>
+          <div className="p-6 flex flex-col sm:flex-row items-center gap-4">
+            <label className="inline-flex items-center gap-2 cursor-pointer border-2 border-dashed border-blue-400 rounded-lg px-4 py-3 hover:border-blue-500 transition-colors">
+              <UploadCloud className="text-gray-400" size={24} />
+              <span className="text-sm text-gray-700">
+                {file
+                  ? `${file.name} (${formatFileSize(file.size)})`
+                  : "Choose a file (up to 32 MB)"}
+              </span>
+              <input
+                type="file"
+                className="hidden"
+                onChange={(e) => {
+                  setFile(e.target.files[0]);
+                  setReport(null);
+                  setError(null);
+                }}
+              />
+            </label>
+            <button
+              onClick={handleRun}
+              disabled={loading || !file}
+              className={`inline-flex items-center gap-2 px-6 py-3 rounded font-medium text-white transition-colors ${
+                loading || !file
+                  ? "bg-gray-400 cursor-not-allowed"
+                  : "bg-blue-600 hover:bg-blue-700"
+              }`}
+            >
+              <BarChart3 size={18} />
+              {loading ? "Running all algorithms..." : "Run Benchmark"}
+            </button>
+          </div>
+          {error && (
+            <div className="mx-6 mb-6 p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">
+              {error.message}
+              {error.code && (
+                <span className="ml-2 font-mono text-xs">{error.code}</span>
+              )}
+            </div>
+          )}
+        </div>
+
+        {report && (
+          <div className="border rounded-lg shadow-lg bg-white">
+            <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <h2 className="text-xl font-semibold">Comparison</h2>
+                <p className="text-sm opacity-90">
+                  {report.originalFilename} ·{" "}
+                  {formatFileSize(report.originalSize)}
+                </p>
+              </div>
+              <div className="flex gap-1">
+                {sortOptions.map((option) => (
+                  <button
+                    key={option.key}
+                    onClick={() => setSortBy(option.key)}
+                    className={`text-sm px-3 py-1 rounded ${
+                      sortBy === option.key
+                        ? "bg-white text-blue-700"
+                        : "bg-blue-500 text-white hover:bg-blue-400"
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {results.map((entry) => (
+                <div key={entry.algorithm} className="border rounded-lg p-3">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="font-medium text-gray-800">
+                      {entry.name}
+                      {entry.baseline && (
+                        <span className="ml-2 text-xs font-medium bg-gray-200 text-gray-700 rounded px-2 py-0.5">
+                          Library baseline
+                        </span>
+                      )}
+                    </span>
+                    {entry.error ? (
+                      <span className="text-xs text-red-600">{entry.error}</span>
+                    ) : entry.roundTrip ? (
+                      <span className="inline-flex items-center gap-1 text-xs text-green-700">
+                        <CheckCircle size={14} /> Byte-exact round trip
+                      </span>
+                    ) : (
+                      <span className="inline-flex items-center gap-1 text-xs text-red-600">
+                        <XCircle size={14} /> Round trip differs
+                      </span>
+                    )}
+                  </div>
+                  {!entry.error && (
+                    <div className="space-y-1">
+                      <Bar
+                        label="Ratio"
+                        value={entry.compressedSize}
+                        max={report.originalSize}
+                        color="bg-green-600"
+                        text={entry.ratio}
+                      />
+                      <Bar
+                        label="Compress"
+                        value={entry.compressMBps}
+                        max={maxCompress}
+                        color="bg-blue-500"
+                        text={`${entry.compressMBps ?? "—"} MB/s`}
+                      />
+                      <Bar
+                        label="Decompress"
+                        value={entry.decompressMBps}
+                        max={maxDecompress}
+                        color="bg-indigo-500"
+                        text={`${entry.decompressMBps ?? "—"} MB/s`}
+                      />
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Algorithm</th>
+                    <th className="py-2 text-right">Output</th>
+                    <th className="py-2 text-right">Ratio</th>
+                    <th className="py-2 text-right">Compress</th>
+                    <th className="py-2 text-right">Decompress</th>
+                    <th className="py-2 text-right">Peak memory</th>
+                    <th className="py-2 text-right">Round trip</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map((entry) => (
+                    <tr key={entry.algorithm} className="text-gray-700 border-b last:border-0">
+                      <td className="py-1">
+                        {entry.name}
+                        {entry.baseline && (
+                          <span className="ml-1 text-gray-400">(library)</span>
+                        )}
+                      </td>
+                      <td className="py-1 text-right">
+                        {entry.error ? "failed" : formatFileSize(entry.compressedSize)}
+                      </td>
+                      <td className="py-1 text-right">{entry.ratio || "—"}</td>
+                      <td className="py-1 text-right">
+                        {entry.error ? "—" : `${entry.compressMs} ms`}
+                      </td>
+                      <td className="py-1 text-right">
+                        {entry.error ? "—" : `${entry.decompressMs} ms`}
+                      </td>
+                      <td className="py-1 text-right">
+                        {entry.error ? "—" : formatFileSize(entry.peakMemoryBytes)}
+                      </td>
+                      <td className="py-1 text-right">
+                        {entry.error ? "—" : entry.roundTrip ? "yes" : "NO"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import React, { useState } from "react";
+import { Activity, Sparkles } from "lucide-react";
+
+// Printable ASCII is shown as its character, everything else as hex
+function byteLabel(byte) {
+  const hex = `0x${byte.toString(16).padStart(2, "0").toUpperCase()}`;
+  return byte >= 33 && byte <= 126 ? `${hex} '${String.fromCharCode(byte)}'` : hex;
+}
+
+function Stat({ label, value }) {
+  return (
+    <div className="bg-gray-50 rounded p-2">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-sm font-medium text-gray-800">{value}</div>
+    </div>
+  );
+}
+
+function EntropyBar({ label, bits }) {
+  return (
+    <div className="flex items-center gap-2 text-xs">
+      <span className="w-16 shrink-0 text-gray-500">{label}</span>
+      <div className="flex-1 h-2 bg-gray-200 rounded">
+        <div
+          className="h-2 rounded bg-purple-500"
+          style={{ width: `${(bits / 8) * 100}%` }}
+        />
+      </div>
+      <span className="w-24 shrink-0 text-right text-gray-700">
+        {bits.toFixed(2)} bits/byte
+      </span>
+    </div>
+  );
+}
+
+// 256 columns, one per byte value; a log scale keeps rare bytes visible next to spikes
+function Histogram({ counts }) {
+  const [logScale, setLogScale] = useState(true);
+  const scale = (count) => (logScale ? Math.log1p(count) : count);
+  const max = Math.max(...counts.map(scale));
+  const used = counts.filter((count) => count > 0).length;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-sm font-medium text-gray-700">
+          Byte histogram{" "}
+          <span className="text-xs font-normal text-gray-500">
+            ({used} of 256 values used)
+          </span>
+        </span>
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={logScale}
+            onChange={(e) => setLogScale(e.target.checked)}
+          />
+          Log scale
+        </label>
+      </div>
+      <div className="flex items-end h-24 border-b border-gray-300">
+        {counts.map((count, byte) => (
+          <div
+            key={byte}
+            title={`${byteLabel(byte)}: ${count.toLocaleString()}`}
+            className="flex-1 bg-blue-500 hover:bg-blue-700"
+            style={{ height: max > 0 ? `${(scale(count) / max) * 100}%` : 0 }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>0x00</span>
+        <span>0x40</span>
+        <span>0x80</span>
+        <span>0xC0</span>
+        <span>0xFF</span>
+      </div>
+    </div>
+  );
+}
+
+export default function FileAnalysis({ analysis, loading, error, algorithm, onUseAlgorithm }) {
+  return (
+    <div className="bg-white shadow-lg rounded-lg">
+      <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <Activity size={20} /> File Analysis
+        </h2>
+        <p className="text-sm opacity-90">
+          What the data looks like before you pick an algorithm
+        </p>
+      </div>
+      <div className="p-6 space-y-4">
+        {loading && <p className="text-sm text-gray-500">Analyzing file...</p>}
+        {error && (
+          <p className="text-sm text-red-600">Could not analyze the file: {error}</p>
+        )}
+
+        {analysis && !loading && (
+          <>
+            {analysis.prediction && (
+              <div className="p-3 rounded border border-green-200 bg-green-50">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="flex items-center gap-2 font-medium text-green-800">
+                    <Sparkles size={16} /> Predicted best: {analysis.prediction.name}
+                  </span>
+                  {algorithm !== analysis.prediction.algorithm && (
+                    <button
+                      onClick={() => onUseAlgorithm(analysis.prediction.algorithm)}
+                      className="text-xs bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700"
+                    >
+                      Use it
+                    </button>
+                  )}
+                </div>
+                <p className="text-sm text-green-700 mt-1">{analysis.prediction.reason}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  A rule of thumb from the statistics below; Auto mode measures every algorithm.
+                </p>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              <Stat label="Detected type" value={analysis.fileType.label} />
+              <Stat
+                label="Already compressed"
+                value={analysis.fileType.compressed ? "Likely" : "No"}
+              />
+              <Stat
+                label="Repeat coverage"
+                value={`${(analysis.repeats.coverage * 100).toFixed(1)}%`}
+              />
+            </div>
+
+            <div className="space-y-1">
+              <span className="text-sm font-medium text-gray-700">Shannon entropy</span>
+              <EntropyBar label="Order-0" bits={analysis.entropy.order0} />
+              <EntropyBar label="Order-1" bits={analysis.entropy.order1} />
+              <p className="text-xs text-gray-500">
+                8 bits/byte is random data. Order-1 conditions each byte on
+                the one before it.
+              </p>
+            </div>
+
+            <Histogram counts={analysis.histogram} />
+
+            <div>
+              <span className="text-sm font-medium text-gray-700">
+                Runs of identical bytes
+              </span>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-1">
+                <Stat label="Runs" value={analysis.runs.runs.toLocaleString()} />
+                <Stat label="Longest" value={`${analysis.runs.longestRun} bytes`} />
+                <Stat label="Average" value={`${analysis.runs.averageRunLength} bytes`} />
+                <Stat
+                  label="RLE estimate"
+                  value={`${(analysis.runs.compressionRatio * 100).toFixed(1)}%`}
+                />
+              </div>
+            </div>
+
+            <div>
+              <span className="text-sm font-medium text-gray-700">
+                Repeated substrings
+              </span>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mt-1">
+                <Stat label="Matches" value={analysis.repeats.matches.toLocaleString()} />
+                <Stat
+                  label="Average length"
+                  value={`${analysis.repeats.averageMatchLength} bytes`}
+                />
+                <Stat label="Longest" value={`${analysis.repeats.longestMatch} bytes`} />
+                <Stat
+                  label="Average distance"
+                  value={`${analysis.repeats.averageDistance} bytes`}
+                />
+              </div>
+            </div>
+
+            {analysis.sampled && (
+              <p className="text-xs text-gray-500">
+                Entropy and histogram cover the whole file; runs and repeats
+                come from a {Math.round(analysis.sampleSize / 1024)} KB sample.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
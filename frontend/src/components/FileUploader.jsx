@@ -1,5 +1,5 @@
 // File: src/components/FileUploader.jsx
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import axios from "axios";
 import {
   UploadCloud,
@@ -7,24 +7,161 @@ import {
   Image,
   HardDrive,
   Download,
+  AlertTriangle,
+  ArrowUp,
+  ArrowDown,
+  X,
+  Plus,
+  Binary,
 } from "lucide-react";
+import { formatFileSize } from "../utils/format";
+import FileAnalysis from "./FileAnalysis";
+import HuffmanExplanation from "./HuffmanExplanation";
 const backendUrl = import.meta.env.VITE_API_URL || "http://localhost:4000";
 
-export default function FileUploader() {
+// Plain-language explanations for the error codes returned by the backend
+const errorReasons = {
+  INVALID_FORMAT:
+    "The file is not in the expected compressed format. It may be an original file or was compressed with a different tool.",
+  TRUNCATED:
+    "The file ends too early. It was probably cut off during upload or download.",
+  SIZE_MISMATCH:
+    "The decompressed data does not match the size recorded at compression time.",
+  CHECKSUM_MISMATCH:
+    "The decompressed data differs from the original even though the size is right. The file was damaged after it was compressed.",
+  CORRUPT_STREAM:
+    "The compressed data contains impossible values and appears to be corrupted.",
+  UNSUPPORTED_ALGORITHM: "The selected algorithm is not supported by the server.",
+  INVALID_PARAMETER:
+    "One of the algorithm settings is not accepted. Check the allowed range shown next to it.",
+  NO_CODEC:
+    "None of the algorithms could compress this file in auto mode. Pick an algorithm yourself to see why.",
+  FILE_TOO_LARGE:
+    "The file is too large for this operation, which holds it in memory. Try a smaller file or a streaming operation such as plain compression.",
+};
+
+const autoOption = {
+  key: "auto",
+  title: "Auto Select",
+  description:
+    "Tries every algorithm on your file and keeps whichever produces the smallest output.",
+  ratio: "Best available",
+  bestFor: "Unknown Files",
+  params: [],
+};
+
+const pipelineOption = {
+  key: "pipeline",
+  title: "Custom Pipeline",
+  description:
+    "Chain reversible transforms and codecs, e.g. BWT → MTF → RLE → Huffman or Delta → LZ77.",
+  ratio: "Depends on stages",
+  bestFor: "Experiments",
+  params: [],
+};
+
+const pipelinePresets = [
+  { label: "BWT → MTF → RLE → Huffman", stages: ["bwt", "mtf", "rle", "huffman"] },
+  { label: "Delta → LZ77", stages: ["delta", "lz77"] },
+  { label: "Byte Split → Range", stages: ["bytesplit", "range"] },
+];
+
+// One control for a codec or transform parameter declared by the backend
+function ParamField({ param, value, onChange, invalid }) {
+  return (
+    <div>
+      {param.type === "enum" ? (
+        <label className="block text-sm text-gray-700">
+          <span>{param.label}</span>
+          <select
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className="mt-1 w-full border border-gray-300 rounded px-2 py-1 bg-white"
+          >
+            {param.options.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : param.type === "boolean" ? (
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={value}
+            onChange={(e) => onChange(e.target.checked)}
+          />
+          <span>{param.label}</span>
+        </label>
+      ) : (
+        <label className="block text-sm text-gray-700">
+          <span className="flex justify-between">
+            <span>{param.label}</span>
+            <span className="text-xs text-gray-500">
+              {param.min}–{param.max} (default {param.default})
+            </span>
+          </span>
+          <input
+            type="number"
+            min={param.min}
+            max={param.max}
+            step={1}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className={`mt-1 w-full border rounded px-2 py-1 ${
+              invalid ? "border-red-500" : "border-gray-300"
+            }`}
+          />
+        </label>
+      )}
+      <p className="text-xs text-gray-500 mt-1">{param.description}</p>
+    </div>
+  );
+}
+
+export default function FileUploader({ onInspect }) {
   const [file, setFile] = useState(null);
   const [algorithm, setAlgorithm] = useState("huffman");
   const [isCompress, setIsCompress] = useState(true);
   const [result, setResult] = useState(null);
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [strict, setStrict] = useState(true);
+  const [explain, setExplain] = useState(false);
+  const [verify, setVerify] = useState(false);
+  const [codecs, setCodecs] = useState([]);
+  const [codecsError, setCodecsError] = useState(null);
+  // Parameter values the user changed, keyed by algorithm then parameter name
+  const [paramValues, setParamValues] = useState({});
+  const [transforms, setTransforms] = useState([]);
+  // Pipeline stages as { key, id, params }; key keeps React rows stable while reordering
+  const stageKeyRef = useRef(0);
+  const makeStage = (id) => ({ key: stageKeyRef.current++, id, params: {} });
+  const [stages, setStages] = useState(() =>
+    pipelinePresets[0].stages.map(makeStage)
+  );
+  const [stageToAdd, setStageToAdd] = useState("");
+  const [analysis, setAnalysis] = useState(null);
+  const [analysisLoading, setAnalysisLoading] = useState(false);
+  const [analysisError, setAnalysisError] = useState(null);
+  // Only the most recently selected file's analysis is shown
+  const analyzedFileRef = useRef(null);
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return "0 Bytes";
-    const k = 1024;
-    const sizes = ["Bytes", "KB", "MB", "GB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
-  };
+  // The codec list comes from the backend registry
+  useEffect(() => {
+    axios
+      .get(`${backendUrl}/algorithms`)
+      .then((res) => {
+        setCodecs(res.data.algorithms);
+        setTransforms(res.data.transforms || []);
+      })
+      .catch((err) => {
+        console.error("Error loading algorithms:", err);
+        setCodecsError(err.message);
+      });
+  }, []);
 
   const getFileIcon = (filename) => {
     const ext = filename.split(".").pop().toLowerCase();
@@ -52,9 +189,35 @@ export default function FileUploader() {
     }
   };
 
+  const analyzeFile = async (selectedFile) => {
+    analyzedFileRef.current = selectedFile;
+    setAnalysis(null);
+    setAnalysisError(null);
+    setAnalysisLoading(Boolean(selectedFile));
+    if (!selectedFile) return;
+
+    const formData = new FormData();
+    formData.append("file", selectedFile);
+    try {
+      const res = await axios.post(`${backendUrl}/analyze`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      if (analyzedFileRef.current === selectedFile) setAnalysis(res.data);
+    } catch (err) {
+      console.error("Error analyzing file:", err);
+      if (analyzedFileRef.current === selectedFile) {
+        setAnalysisError(err.response?.data?.error || err.message);
+      }
+    } finally {
+      if (analyzedFileRef.current === selectedFile) setAnalysisLoading(false);
+    }
+  };
+
   const handleFileSelect = (selectedFile) => {
     setFile(selectedFile);
     setResult(null); // Clear previous results when new file is selected
+    setError(null);
+    analyzeFile(selectedFile);
   };
 
   const handleUpload = async () => {
@@ -64,9 +227,27 @@ export default function FileUploader() {
     }
 
     setLoading(true);
+    setError(null);
     const formData = new FormData();
     formData.append("file", file);
     formData.append("algorithm", algorithm);
+    if (!isCompress) {
+      formData.append("strict", strict ? "true" : "false");
+    } else if (algorithm === "pipeline") {
+      formData.append(
+        "pipeline",
+        JSON.stringify(stages.map(({ id, params }) => ({ id, params })))
+      );
+    } else if (paramValues[algorithm]) {
+      // Unchanged parameters are left out; the server fills in the defaults
+      formData.append("params", JSON.stringify(paramValues[algorithm]));
+    }
+    if (isCompress && explain) {
+      formData.append("explain", "true");
+    }
+    if (isCompress && verify) {
+      formData.append("verify", "true");
+    }
 
     const start = performance.now();
     const endpoint = isCompress ? "/compress" : "/decompress";
@@ -85,7 +266,8 @@ export default function FileUploader() {
       const data = {
         ...res.data,
         filename: file.name,
-        algorithm,
+        // Decompression reports the algorithm detected from the file header
+        algorithm: res.data.algorithm || algorithm,
         time,
         isCompress,
         timestamp: new Date().toLocaleString(),
@@ -96,75 +278,127 @@ export default function FileUploader() {
       setHistory([data, ...history.slice(0, 9)]); // Keep only last 10 items
     } catch (err) {
       console.error("Error processing file:", err);
-      alert(
-        `Error processing file: ${err.response?.data?.error || err.message}`
-      );
+      setResult(null);
+      setError({
+        message: err.response?.data?.error || err.message,
+        code: err.response?.data?.code,
+        param: err.response?.data?.param,
+      });
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDownload = () => {
-    if (!result || !result.originalFile) {
-      alert("No original file available for download.");
+  const handleDownload = async () => {
+    if (!result || !result.downloadPath) {
+      alert("No processed file available for download.");
       return;
     }
 
-    // Create a modified filename to indicate the operation performed
-    const originalName = result.originalFile.name;
-    const nameWithoutExt = originalName.substring(0, originalName.lastIndexOf('.')) || originalName;
-    const extension = originalName.includes('.') ? originalName.substring(originalName.lastIndexOf('.')) : '';
-    
-    const operation = result.isCompress ? 'compressed' : 'decompressed';
-    const algorithmName = result.algorithm.toUpperCase();
-    const modifiedFilename = `${nameWithoutExt}_${operation}_${algorithmName}${extension}`;
-
-    // Create a download link for the original file with modified name
-    const url = URL.createObjectURL(result.originalFile);
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = modifiedFilename;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    // Clean up the object URL
-    URL.revokeObjectURL(url);
+    // Save under the name reported by the server, which is the original
+    // filename restored from the container header after decompression
+    await downloadFile(result.downloadPath, result.originalFilename);
   };
 
+  const downloadFile = async (downloadPath, filename) => {
+    try {
+      const res = await axios.get(
+        `${backendUrl}/download/${encodeURIComponent(downloadPath)}`,
+        { responseType: "blob" }
+      );
+
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename || downloadPath;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      // Clean up the object URL
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error downloading file:", err);
+      alert(`Error downloading file: ${err.message}`);
+    }
+  };
+
+  // Auto and pipelines are selection modes rather than codecs, so /algorithms does not list them
   const algorithms = [
-    {
-      key: "huffman",
-      title: "Huffman Coding",
-      description:
-        "Optimal for text files with repeated characters. Uses variable-length codes.",
-      ratio: "~40-60%",
-      bestFor: "Text Files",
-    },
-    {
-      key: "rle",
-      title: "Run-Length Encoding",
-      description: "Efficient for data with many consecutive identical values.",
-      ratio: "~20-80%",
-      bestFor: "Images/Repetitive Data",
-    },
-    {
-      key: "lz77",
-      title: "LZ77",
-      description:
-        "Dictionary-based compression. Good general-purpose algorithm.",
-      ratio: "~30-70%",
-      bestFor: "Binary/Mixed Files",
-    },
+    autoOption,
+    pipelineOption,
+    ...codecs.map((codec) => ({
+      key: codec.id,
+      title: codec.name,
+      description: codec.description,
+      ratio: codec.typicalRatio,
+      bestFor: codec.bestFor,
+      params: codec.params || [],
+      baseline: codec.capabilities?.baseline || false,
+      explainable: codec.capabilities?.explainable || false,
+    })),
   ];
 
+  const getParamValue = (param) => {
+    const value = paramValues[algorithm]?.[param.name];
+    return value === undefined ? param.default : value;
+  };
+
+  const setParamValue = (name, value) => {
+    setParamValues({
+      ...paramValues,
+      [algorithm]: { ...paramValues[algorithm], [name]: value },
+    });
+  };
+
+  // Anything a pipeline stage can be built from: transforms first, then codecs
+  const stageOptions = [
+    ...transforms.map((transform) => ({ ...transform, kind: "Transform" })),
+    ...codecs.map((codec) => ({
+      ...codec,
+      kind: codec.capabilities?.baseline ? "Library baseline" : "Codec",
+    })),
+  ];
+  const findStageOption = (id) => stageOptions.find((option) => option.id === id);
+
+  const moveStage = (index, offset) => {
+    const next = [...stages];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setStages(next);
+  };
+
+  const removeStage = (index) => {
+    setStages(stages.filter((_, i) => i !== index));
+  };
+
+  const addStage = () => {
+    if (!stageToAdd) return;
+    setStages([...stages, makeStage(stageToAdd)]);
+    setStageToAdd("");
+  };
+
+  const setStageParam = (index, name, value) => {
+    setStages(
+      stages.map((stage, i) =>
+        i === index
+          ? { ...stage, params: { ...stage.params, [name]: value } }
+          : stage
+      )
+    );
+  };
+
+  const resetParams = () => {
+    const { [algorithm]: _discarded, ...rest } = paramValues;
+    setParamValues(rest);
+  };
+
   return (
     <div className="p-6 max-w-7xl mx-auto bg-gray-50 min-h-screen">
       <h1 className="text-4xl font-bold text-center mb-2 text-gray-800">
         File Compression Tool
       </h1>
       <p className="text-center text-gray-600 mb-8">
-        Advanced compression with Huffman, RLE, and LZ77 algorithms
+        Advanced compression with Huffman, RLE, LZ77, LZW, range coding, BWT block sorting, and gzip
       </p>
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -224,6 +458,17 @@ export default function FileUploader() {
             </div>
           </div>
 
+          {/* File Analysis */}
+          {isCompress && file && (
+            <FileAnalysis
+              analysis={analysis}
+              loading={analysisLoading}
+              error={analysisError}
+              algorithm={algorithm}
+              onUseAlgorithm={setAlgorithm}
+            />
+          )}
+
           {/* Algorithm Selection */}
           <div className="bg-white shadow-lg rounded-lg">
             <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
@@ -233,6 +478,18 @@ export default function FileUploader() {
               </p>
             </div>
             <div className="p-6 space-y-4">
+              {!isCompress && (
+                <p className="text-sm text-gray-600 bg-orange-50 border border-orange-200 rounded p-3">
+                  Files compressed by this portal are detected automatically
+                  from their header. The selection below is only used for
+                  older files without one.
+                </p>
+              )}
+              {codecsError && (
+                <p className="text-sm text-red-600">
+                  Could not load algorithms from the server: {codecsError}
+                </p>
+              )}
               {algorithms.map((algo) => (
                 <div
                   key={algo.key}
@@ -255,6 +512,11 @@ export default function FileUploader() {
                       <span className="font-semibold text-lg text-gray-800">
                         {algo.title}
                       </span>
+                      {algo.baseline && (
+                        <span className="ml-2 align-middle text-xs font-medium bg-gray-200 text-gray-700 rounded px-2 py-0.5">
+                          Library baseline
+                        </span>
+                      )}
                       <p className="text-sm text-gray-600 mt-1">
                         {algo.description}
                       </p>
@@ -266,6 +528,154 @@ export default function FileUploader() {
                       </p>
                     </div>
                   </label>
+
+                  {isCompress &&
+                    algorithm === algo.key &&
+                    algo.params.length > 0 && (
+                      <div className="mt-4 pt-4 border-t border-blue-200 space-y-3">
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm font-medium text-gray-700">
+                            Parameters
+                          </span>
+                          <button
+                            onClick={resetParams}
+                            disabled={!paramValues[algorithm]}
+                            className="text-xs text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                          >
+                            Reset to defaults
+                          </button>
+                        </div>
+                        {algo.params.map((param) => (
+                          <ParamField
+                            key={param.name}
+                            param={param}
+                            value={getParamValue(param)}
+                            onChange={(value) => setParamValue(param.name, value)}
+                            invalid={error?.param === param.name}
+                          />
+                        ))}
+                      </div>
+                    )}
+
+                  {isCompress && algorithm === algo.key && algo.explainable && (
+                    <label className="mt-4 pt-4 border-t border-blue-200 flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={explain}
+                        onChange={(e) => setExplain(e.target.checked)}
+                      />
+                      <span>Explain the encoding (code table and tree)</span>
+                    </label>
+                  )}
+
+                  {isCompress && algorithm === "pipeline" && algo.key === "pipeline" && (
+                    <div className="mt-4 pt-4 border-t border-blue-200 space-y-3">
+                      <div className="flex flex-wrap gap-2">
+                        {pipelinePresets.map((preset) => (
+                          <button
+                            key={preset.label}
+                            onClick={() => setStages(preset.stages.map(makeStage))}
+                            className="text-xs border border-blue-300 text-blue-700 rounded px-2 py-1 hover:bg-blue-100"
+                          >
+                            {preset.label}
+                          </button>
+                        ))}
+                      </div>
+
+                      {stages.length === 0 && (
+                        <p className="text-sm text-gray-500">
+                          Add at least one stage.
+                        </p>
+                      )}
+
+                      {stages.map((stage, index) => {
+                        const option = findStageOption(stage.id);
+                        return (
+                          <div
+                            key={stage.key}
+                            className="border border-gray-200 rounded p-3 bg-white"
+                          >
+                            <div className="flex items-center justify-between">
+                              <span className="text-sm font-medium text-gray-800">
+                                {index + 1}. {option ? option.name : stage.id}
+                                {option && (
+                                  <span className="ml-2 text-xs text-gray-500">
+                                    {option.kind}
+                                  </span>
+                                )}
+                              </span>
+                              <div className="flex items-center space-x-1 text-gray-600">
+                                <button
+                                  onClick={() => moveStage(index, -1)}
+                                  disabled={index === 0}
+                                  title="Move up"
+                                  className="p-1 rounded hover:bg-gray-100 disabled:text-gray-300"
+                                >
+                                  <ArrowUp size={16} />
+                                </button>
+                                <button
+                                  onClick={() => moveStage(index, 1)}
+                                  disabled={index === stages.length - 1}
+                                  title="Move down"
+                                  className="p-1 rounded hover:bg-gray-100 disabled:text-gray-300"
+                                >
+                                  <ArrowDown size={16} />
+                                </button>
+                                <button
+                                  onClick={() => removeStage(index)}
+                                  title="Remove stage"
+                                  className="p-1 rounded hover:bg-red-50 hover:text-red-600"
+                                >
+                                  <X size={16} />
+                                </button>
+                              </div>
+                            </div>
+                            {option && option.params.length > 0 && (
+                              <div className="mt-2 space-y-2">
+                                {option.params.map((param) => (
+                                  <ParamField
+                                    key={param.name}
+                                    param={param}
+                                    value={
+                                      stage.params[param.name] === undefined
+                                        ? param.default
+                                        : stage.params[param.name]
+                                    }
+                                    onChange={(value) =>
+                                      setStageParam(index, param.name, value)
+                                    }
+                                    invalid={error?.param === param.name}
+                                  />
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })}
+
+                      <div className="flex gap-2">
+                        <select
+                          value={stageToAdd}
+                          onChange={(e) => setStageToAdd(e.target.value)}
+                          className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm bg-white"
+                        >
+                          <option value="">Add a stage…</option>
+                          {stageOptions.map((option) => (
+                            <option key={option.id} value={option.id}>
+                              {option.kind}: {option.name}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={addStage}
+                          disabled={!stageToAdd}
+                          className="inline-flex items-center gap-1 bg-blue-600 text-white text-sm px-3 py-1 rounded hover:bg-blue-700 disabled:bg-gray-400"
+                        >
+                          <Plus size={16} /> Add
+                        </button>
+                      </div>
+                    </div>
+                  )}
                 </div>
               ))}
 
@@ -291,6 +701,34 @@ export default function FileUploader() {
                   Decompress Files
                 </button>
               </div>
+
+              {isCompress && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={verify}
+                    onChange={(e) => setVerify(e.target.checked)}
+                  />
+                  <span>
+                    Verify the round trip (decompress right away and compare
+                    SHA-256 hashes)
+                  </span>
+                </label>
+              )}
+
+              {!isCompress && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={strict}
+                    onChange={(e) => setStrict(e.target.checked)}
+                  />
+                  <span>
+                    Strict validation (reject invalid files instead of
+                    returning them unchanged)
+                  </span>
+                </label>
+              )}
             </div>
           </div>
         </div>
@@ -302,6 +740,41 @@ export default function FileUploader() {
               <h2 className="text-xl font-semibold">Processing Results</h2>
             </div>
             <div className="p-6">
+              {error && (
+                <div className="mb-4 p-4 border border-red-200 bg-red-50 rounded-lg">
+                  <div className="flex items-center space-x-2 text-red-700 font-semibold">
+                    <AlertTriangle size={18} />
+                    <span>
+                      {isCompress ? "Compression" : "Decompression"} failed
+                    </span>
+                    {error.code && (
+                      <span className="text-xs font-mono bg-red-100 px-2 py-0.5 rounded">
+                        {error.code}
+                      </span>
+                    )}
+                  </div>
+                  {errorReasons[error.code] && (
+                    <p className="text-sm text-red-700 mt-2">
+                      {errorReasons[error.code]}
+                    </p>
+                  )}
+                  <p className="text-xs text-red-600 mt-1 break-words">
+                    {error.message}
+                  </p>
+                  {!isCompress && file && (
+                    <button
+                      onClick={() =>
+                        // The selected algorithm only matters for files without a container header
+                        onInspect(file, codecs.some((codec) => codec.id === algorithm) ? algorithm : "")
+                      }
+                      className="mt-3 inline-flex items-center gap-1 text-xs bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700"
+                    >
+                      <Binary size={14} /> Inspect the file's bytes
+                    </button>
+                  )}
+                </div>
+              )}
+
               {result ? (
                 <div className="space-y-3">
                   <div className="flex items-center space-x-2">
@@ -318,6 +791,13 @@ export default function FileUploader() {
                       </span>
                       <p className="text-gray-800 capitalize">
                         {result.algorithm}
+                        {result.algorithmDetected && (
+                          <span className="ml-1 text-xs text-gray-500 normal-case">
+                            {result.standardFormat
+                              ? "(standard format, detected from magic bytes)"
+                              : "(detected from header)"}
+                          </span>
+                        )}
                       </p>
                     </div>
                     <div>
@@ -368,6 +848,85 @@ export default function FileUploader() {
                       </div>
                     )}
 
+                    {result.originalFilename && (
+                      <div>
+                        <span className="font-medium text-gray-600">
+                          Output File:
+                        </span>
+                        <p className="text-gray-800 break-all">
+                          {result.originalFilename}
+                        </p>
+                      </div>
+                    )}
+
+                    {result.pipelineName && (
+                      <div className="col-span-2">
+                        <span className="font-medium text-gray-600">
+                          Pipeline:
+                        </span>
+                        <p className="text-gray-800">{result.pipelineName}</p>
+                      </div>
+                    )}
+
+                    {!result.pipelineName &&
+                      result.params &&
+                      Object.keys(result.params).length > 0 && (
+                      <div className="col-span-2">
+                        <span className="font-medium text-gray-600">
+                          Parameters:
+                        </span>
+                        <p className="text-gray-800 font-mono text-xs break-all">
+                          {Object.entries(result.params)
+                            .map(([name, value]) => `${name}=${value}`)
+                            .join(", ")}
+                        </p>
+                      </div>
+                    )}
+
+                    {result.checksum && (
+                      <div>
+                        <span className="font-medium text-gray-600">
+                          Checksum:
+                        </span>
+                        <p
+                          className={`font-mono text-xs ${
+                            result.checksum.match ? "text-green-700" : "text-red-700"
+                          }`}
+                          title={`Expected ${result.checksum.expected}, got ${result.checksum.actual}`}
+                        >
+                          {result.checksum.algorithm} {result.checksum.actual}{" "}
+                          {result.checksum.match ? "matches" : "does not match"}
+                        </p>
+                      </div>
+                    )}
+
+                    {result.verification && (
+                      <div>
+                        <span className="font-medium text-gray-600">
+                          Round trip:
+                        </span>
+                        <p
+                          className={
+                            result.verification.match ? "text-green-700" : "text-red-700"
+                          }
+                          title={`SHA-256 ${result.verification.originalSha256}`}
+                        >
+                          {result.verification.match
+                            ? "Verified, SHA-256 matches"
+                            : result.verification.error || "SHA-256 does not match"}
+                        </p>
+                      </div>
+                    )}
+
+                    {result.autoSelected && (
+                      <div>
+                        <span className="font-medium text-gray-600">
+                          Selection:
+                        </span>
+                        <p className="text-gray-800">Auto-selected</p>
+                      </div>
+                    )}
+
                     <div>
                       <span className="font-medium text-gray-600">
                         Processing Time:
@@ -376,30 +935,204 @@ export default function FileUploader() {
                     </div>
                   </div>
 
-                  <button
-                    onClick={handleDownload}
-                    className="w-full mt-4 bg-green-600 text-white py-2 px-4 rounded hover:bg-green-700 transition-colors flex items-center justify-center space-x-2"
-                  >
-                    <Download size={18} />
-                    <span>Download File</span>
-                  </button>
+                  {result.comparison && (
+                    <div className="border rounded-lg p-3 bg-gray-50">
+                      <p className="text-sm font-medium text-gray-700 mb-1">
+                        Why {result.algorithm.toUpperCase()}?
+                      </p>
+                      <p className="text-xs text-gray-600 mb-3">
+                        {result.selectionReason}
+                      </p>
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="py-1">Algorithm</th>
+                            <th className="py-1 text-right">
+                              {result.sampled ? "Sample Output" : "Output"}
+                            </th>
+                            <th className="py-1 text-right">Ratio</th>
+                            <th className="py-1 text-right">Time</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {result.comparison.map((entry) => (
+                            <tr
+                              key={entry.algorithm}
+                              className={
+                                entry.algorithm === result.algorithm
+                                  ? "font-semibold text-green-700"
+                                  : "text-gray-700"
+                              }
+                            >
+                              <td className="py-1">
+                                {entry.name}
+                                {entry.baseline && (
+                                  <span className="ml-1 text-gray-400 font-normal">
+                                    (library, reference only)
+                                  </span>
+                                )}
+                              </td>
+                              <td className="py-1 text-right">
+                                {entry.compressedSize === null
+                                  ? "failed"
+                                  : formatFileSize(entry.compressedSize)}
+                              </td>
+                              <td className="py-1 text-right">
+                                {entry.ratio || "—"}
+                              </td>
+                              <td className="py-1 text-right">
+                                {entry.timeMs} ms
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  {result.entropy && result.originalSize > 0 && (
+                    <div className="border rounded-lg p-3 bg-gray-50">
+                      <p className="text-sm font-medium text-gray-700 mb-1">
+                        Distance from the entropy limit
+                      </p>
+                      <p className="text-xs text-gray-600 mb-3">
+                        Shannon entropy is the fewest bits per byte any coder
+                        can average when it only knows symbol frequencies
+                        (order-0) or also the previous byte (order-1).
+                      </p>
+                      {[
+                        {
+                          label: "Order-0 entropy",
+                          bits: result.entropy.order0BitsPerByte,
+                          color: "bg-blue-400",
+                        },
+                        {
+                          label: "Order-1 entropy",
+                          bits: result.entropy.order1BitsPerByte,
+                          color: "bg-blue-600",
+                        },
+                        {
+                          label: `${result.algorithm.toUpperCase()} output`,
+                          bits: result.entropy.achievedBitsPerByte,
+                          color: "bg-green-600",
+                        },
+                      ].map((row) => (
+                        <div key={row.label} className="mb-2">
+                          <div className="flex justify-between text-xs text-gray-700">
+                            <span>{row.label}</span>
+                            <span>{row.bits} bits/byte</span>
+                          </div>
+                          <div className="h-2 bg-gray-200 rounded">
+                            <div
+                              className={`h-2 rounded ${row.color}`}
+                              style={{
+                                width: `${Math.min(100, (row.bits / 8) * 100)}%`,
+                              }}
+                            />
+                          </div>
+                        </div>
+                      ))}
+                      <p className="text-xs text-gray-500 mt-2">
+                        Order-0 bound:{" "}
+                        {formatFileSize(result.entropy.order0BoundBytes)} ·
+                        Order-1 bound:{" "}
+                        {formatFileSize(result.entropy.order1BoundBytes)}
+                      </p>
+                    </div>
+                  )}
+
+                  {result.entries && (
+                    <div className="border rounded-lg p-3 bg-gray-50">
+                      <p className="text-sm font-medium text-gray-700 mb-2">
+                        {result.standardFormat.toUpperCase()} archive ·{" "}
+                        {result.entries.length}{" "}
+                        {result.entries.length === 1 ? "entry" : "entries"}
+                      </p>
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="py-1">Name</th>
+                            <th className="py-1">Method</th>
+                            <th className="py-1 text-right">Packed</th>
+                            <th className="py-1 text-right">Size</th>
+                            <th className="py-1"></th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {result.entries.map((entry) => (
+                            <tr key={entry.name} className="text-gray-700">
+                              <td className="py-1 break-all">{entry.name}</td>
+                              <td className="py-1">
+                                {entry.directory ? "folder" : entry.method}
+                              </td>
+                              <td className="py-1 text-right">
+                                {entry.directory
+                                  ? "—"
+                                  : formatFileSize(entry.compressedSize)}
+                              </td>
+                              <td className="py-1 text-right">
+                                {entry.directory
+                                  ? "—"
+                                  : formatFileSize(entry.size)}
+                              </td>
+                              <td className="py-1 text-right">
+                                {entry.downloadPath && (
+                                  <button
+                                    onClick={() =>
+                                      downloadFile(
+                                        entry.downloadPath,
+                                        entry.filename
+                                      )
+                                    }
+                                    title={`Download ${entry.filename}`}
+                                    className="p-1 rounded text-green-700 hover:bg-green-100"
+                                  >
+                                    <Download size={14} />
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  {result.downloadPath && (
+                    <button
+                      onClick={handleDownload}
+                      className="w-full mt-4 bg-green-600 text-white py-2 px-4 rounded hover:bg-green-700 transition-colors flex items-center justify-center space-x-2"
+                    >
+                      <Download size={18} />
+                      <span>Download File</span>
+                    </button>
+                  )}
                 </div>
               ) : (
-                <div className="text-center py-8">
-                  <div className="text-gray-400 mb-2">
-                    <FileText size={48} className="mx-auto" />
+                !error && (
+                  <div className="text-center py-8">
+                    <div className="text-gray-400 mb-2">
+                      <FileText size={48} className="mx-auto" />
+                    </div>
+                    <p className="text-gray-500">
+                      No processing results available
+                    </p>
+                    <p className="text-sm text-gray-400">
+                      Upload and process a file to see statistics
+                    </p>
                   </div>
-                  <p className="text-gray-500">
-                    No processing results available
-                  </p>
-                  <p className="text-sm text-gray-400">
-                    Upload and process a file to see statistics
-                  </p>
-                </div>
+                )
               )}
             </div>
           </div>
 
+          {result?.explanation && result.algorithm === "huffman" && (
+            <HuffmanExplanation
+              key={result.timestamp}
+              explanation={result.explanation}
+            />
+          )}
+
           {/* History */}
           <div className="bg-white shadow-lg rounded-lg">
             <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
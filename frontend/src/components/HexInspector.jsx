@@ -0,0 +1,349 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import { Binary, ChevronLeft, ChevronRight, Crosshair, Search } from "lucide-react";
+import { hex } from "../utils/format";
+
+const backendUrl = import.meta.env.VITE_API_URL || "http://localhost:4000";
+const ROW_BYTES = 16;
+
+const kindStyles = {
+  container: { cell: "bg-purple-200 text-purple-900", label: "Container header" },
+  frame: { cell: "bg-indigo-200 text-indigo-900", label: "Block frame" },
+  header: { cell: "bg-blue-200 text-blue-900", label: "Codec header" },
+  tree: { cell: "bg-amber-200 text-amber-900", label: "Code table / tree" },
+  payload: { cell: "bg-gray-100 text-gray-700", label: "Payload" },
+  padding: { cell: "bg-orange-200 text-orange-900", label: "Padding bits" },
+  flag: { cell: "bg-cyan-200 text-cyan-900", label: "Flag byte" },
+  literal: { cell: "bg-white text-gray-700", label: "Literal" },
+  match: { cell: "bg-green-200 text-green-900", label: "Match" },
+  run: { cell: "bg-green-200 text-green-900", label: "Run" },
+  escaped: { cell: "bg-pink-200 text-pink-900", label: "Escaped byte" },
+  trailing: { cell: "bg-yellow-200 text-yellow-900", label: "Unused bytes" },
+};
+
+function asciiText(byte) {
+  return byte >= 32 && byte < 127 ? String.fromCharCode(byte) : ".";
+}
+
+function describeRegion(region) {
+  const range =
+    region.end - region.start === 1
+      ? `byte ${region.start}`
+      : `bytes ${region.start}–${region.end - 1}`;
+  return `${region.label} (${range})${region.detail ? `: ${region.detail}` : ""}`;
+}
+
+async function requestInspection(file, algorithm, offset) {
+  const formData = new FormData();
+  formData.append("file", file);
+  if (algorithm) formData.append("algorithm", algorithm);
+  if (offset !== null) formData.append("offset", offset);
+  const res = await axios.post(`${backendUrl}/inspect`, formData, {
+    headers: { "Content-Type": "multipart/form-data" },
+  });
+  return res.data;
+}
+
+// `request` ({ file, algorithm }) opens a file sent from another view, e.g. after a
+// failed decompression
+export default function HexInspector({ request }) {
+  const [file, setFile] = useState(null);
+  const [algorithm, setAlgorithm] = useState("");
+  const [codecs, setCodecs] = useState([]);
+  const [inspection, setInspection] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [active, setActive] = useState(null);
+  const [jumpTo, setJumpTo] = useState("");
+  const fileInputRef = useRef(null);
+  // Only the latest request's answer is shown
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    axios
+      .get(`${backendUrl}/algorithms`)
+      .then((res) => setCodecs(res.data.algorithms))
+      .catch((err) => console.error("Error loading algorithms:", err));
+  }, []);
+
+  const inspect = useCallback(async (target, algo, offset = null) => {
+    const id = ++requestIdRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await requestInspection(target, algo, offset);
+      if (id !== requestIdRef.current) return;
+      setInspection(data);
+      setActive(null);
+    } catch (err) {
+      console.error("Error inspecting file:", err);
+      if (id === requestIdRef.current) setError(err.response?.data?.error || err.message);
+    } finally {
+      if (id === requestIdRef.current) setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!request) return;
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    setFile(request.file);
+    setAlgorithm(request.algorithm || "");
+    setInspection(null);
+    inspect(request.file, request.algorithm || "");
+  }, [request, inspect]);
+
+  const view = inspection?.view;
+  const errorOffset = inspection?.error ? inspection.error.offset : null;
+  const goTo = (offset) => {
+    const clamped = Math.max(0, Math.min(offset, inspection.size - 1));
+    if (clamped >= view.start && clamped < view.end) {
+      document.getElementById(`hex-row-${clamped - (clamped % ROW_BYTES)}`)?.scrollIntoView({ block: "center" });
+      return;
+    }
+    inspect(file, algorithm, clamped);
+  };
+
+  // Byte in view -> index of the innermost region covering it (later regions are nested in earlier ones)
+  const regionAt = [];
+  if (inspection) {
+    inspection.regions.forEach((region, index) => {
+      const from = Math.max(region.start, view.start);
+      const to = Math.min(region.end, view.end);
+      for (let i = from; i < to; i++) regionAt[i - view.start] = index;
+    });
+  }
+  const activeRegion = active !== null ? inspection.regions[active] : null;
+  const usedKinds = inspection ? [...new Set(inspection.regions.map((region) => region.kind))] : [];
+
+  const cellClass = (index) => {
+    const offset = view.start + index;
+    const region = inspection.regions[regionAt[index]];
+    const base = region ? kindStyles[region.kind]?.cell || "" : "text-gray-400";
+    if (offset === errorOffset) return `${base} bg-red-500 text-white ring-2 ring-red-700 z-10`;
+    return regionAt[index] === active && active !== null ? `${base} ring-2 ring-blue-600 z-10` : base;
+  };
+  const cellTitle = (index) => {
+    const offset = view.start + index;
+    const region = inspection.regions[regionAt[index]];
+    const where = `Offset ${offset} (0x${hex(offset, 8)}): 0x${hex(view.bytes[index])}`;
+    const failure = offset === errorOffset ? `\nParsing failed here: ${inspection.error.message}` : "";
+    return `${where}${region ? `\n${describeRegion(region)}` : ""}${failure}`;
+  };
+  const cellEvents = (index) => ({
+    onMouseEnter: () => setActive(regionAt[index] ?? null),
+    onMouseLeave: () => setActive(null),
+  });
+
+  const rows = [];
+  if (view) {
+    for (let start = 0; start < view.bytes.length; start += ROW_BYTES) rows.push(start);
+  }
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto bg-gray-50 min-h-screen">
+      <h1 className="text-4xl font-bold text-center mb-2 text-gray-800">Hex Inspector</h1>
+      <p className="text-center text-gray-600 mb-8">
+        Look inside a compressed file: every header field, table and token, and the
+        byte where a damaged file stops making sense
+      </p>
+
+      <div className="space-y-6">
+        <div className="border rounded-lg shadow-lg bg-white">
+          <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
+            <h2 className="text-xl font-semibold">File</h2>
+            <p className="text-sm opacity-90">
+              Files from this portal describe themselves; raw codec output needs its algorithm
+            </p>
+          </div>
+          <div className="p-6 flex flex-wrap items-center gap-4 text-sm text-gray-700">
+            <input
+              ref={fileInputRef}
+              type="file"
+              className="text-xs"
+              onChange={(e) => {
+                setFile(e.target.files[0] || null);
+                setInspection(null);
+              }}
+            />
+            {file && <span className="font-mono text-xs text-gray-500">{file.name}</span>}
+            <label className="inline-flex items-center gap-2">
+              Algorithm
+              <select
+                value={algorithm}
+                onChange={(e) => setAlgorithm(e.target.value)}
+                className="border rounded px-2 py-1"
+              >
+                <option value="">Detect from header or extension</option>
+                {codecs
+                  .filter((codec) => !codec.capabilities.standardFormat)
+                  .map((codec) => (
+                    <option key={codec.id} value={codec.id}>
+                      {codec.name}
+                      {codec.capabilities.inspectable ? "" : " (payload not labelled)"}
+                    </option>
+                  ))}
+              </select>
+            </label>
+            <button
+              onClick={() => inspect(file, algorithm)}
+              disabled={!file || loading}
+              className="inline-flex items-center gap-2 px-4 py-2 rounded font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              <Search size={16} />
+              {loading ? "Inspecting..." : "Inspect"}
+            </button>
+          </div>
+          {error && (
+            <div className="mx-6 mb-6 p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">
+              {error}
+            </div>
+          )}
+        </div>
+
+        {inspection && (
+          <div className="border rounded-lg shadow-lg bg-white">
+            <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <Binary size={20} /> {inspection.originalFilename}
+              </h2>
+              <p className="text-sm opacity-90">
+                {inspection.size.toLocaleString()} bytes
+                {inspection.container &&
+                  ` · DCPK container v${inspection.container.version}, original ${inspection.container.originalSize.toLocaleString()} bytes`}
+                {inspection.blocks !== null && ` · ${inspection.blocks} blocks`}
+                {inspection.formats.length > 0 && ` · ${inspection.formats.join(", ")}`}
+              </p>
+            </div>
+            <div className="p-6 space-y-4">
+              {inspection.error ? (
+                <div className="p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700 flex flex-wrap items-center justify-between gap-3">
+                  <span>
+                    <span className="font-semibold">
+                      Parsing failed at byte {inspection.error.offset} (0x
+                      {hex(inspection.error.offset, 8)})
+                    </span>{" "}
+                    <span className="text-xs font-mono bg-red-100 px-2 py-0.5 rounded">
+                      {inspection.error.code}
+                    </span>
+                    <br />
+                    {inspection.error.message}
+                  </span>
+                  <button
+                    onClick={() => goTo(inspection.error.offset)}
+                    className="inline-flex items-center gap-1 text-xs bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700"
+                  >
+                    <Crosshair size={14} /> Show
+                  </button>
+                </div>
+              ) : (
+                <div className="p-3 rounded border border-green-200 bg-green-50 text-sm text-green-700">
+                  The whole file parses and decodes without errors.
+                </div>
+              )}
+
+              <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+                {usedKinds.map((kind) => (
+                  <span key={kind}>
+                    <span className={`inline-block w-3 h-3 mr-1 align-middle border ${kindStyles[kind]?.cell}`} />
+                    {kindStyles[kind]?.label || kind}
+                  </span>
+                ))}
+                {inspection.error && (
+                  <span>
+                    <span className="inline-block w-3 h-3 mr-1 align-middle bg-red-500" />
+                    Where parsing failed
+                  </span>
+                )}
+              </div>
+
+              <p className="text-sm text-gray-700 min-h-5">
+                {activeRegion
+                  ? describeRegion(activeRegion)
+                  : "Hover a byte to see which field or token it belongs to."}
+              </p>
+
+              <div className="flex flex-wrap items-center justify-between gap-3 text-sm text-gray-600">
+                <span>
+                  Showing bytes {view.start.toLocaleString()}–{(view.end - 1).toLocaleString()} of{" "}
+                  {inspection.size.toLocaleString()}
+                </span>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => inspect(file, algorithm, Math.max(0, view.start - view.bytes.length))}
+                    disabled={loading || view.start === 0}
+                    className="p-1 rounded border hover:bg-gray-100 disabled:opacity-40"
+                    title="Previous bytes"
+                  >
+                    <ChevronLeft size={16} />
+                  </button>
+                  <button
+                    onClick={() => inspect(file, algorithm, view.end)}
+                    disabled={loading || view.end >= inspection.size}
+                    className="p-1 rounded border hover:bg-gray-100 disabled:opacity-40"
+                    title="Next bytes"
+                  >
+                    <ChevronRight size={16} />
+                  </button>
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      const offset = Number(jumpTo.startsWith("0x") ? parseInt(jumpTo, 16) : jumpTo);
+                      if (Number.isInteger(offset) && offset >= 0) goTo(offset);
+                    }}
+                    className="flex items-center gap-1"
+                  >
+                    <input
+                      value={jumpTo}
+                      onChange={(e) => setJumpTo(e.target.value)}
+                      placeholder="Offset or 0x…"
+                      className="w-28 border rounded px-2 py-1 text-xs font-mono"
+                    />
+                    <button type="submit" className="text-xs text-blue-600 hover:underline">
+                      Go
+                    </button>
+                  </form>
+                </div>
+              </div>
+
+              <div className="max-h-[32rem] overflow-y-auto border rounded font-mono text-xs">
+                {rows.map((rowStart) => (
+                  <div
+                    key={rowStart}
+                    id={`hex-row-${view.start + rowStart}`}
+                    className="flex items-center gap-3 px-2"
+                  >
+                    <span className="w-20 shrink-0 text-gray-400">{hex(view.start + rowStart, 8)}</span>
+                    <span className="flex">
+                      {view.bytes.slice(rowStart, rowStart + ROW_BYTES).map((byte, i) => (
+                        <span
+                          key={i}
+                          title={cellTitle(rowStart + i)}
+                          {...cellEvents(rowStart + i)}
+                          className={`relative w-6 h-6 flex items-center justify-center cursor-default ${cellClass(rowStart + i)}`}
+                        >
+                          {hex(byte)}
+                        </span>
+                      ))}
+                    </span>
+                    <span className="flex">
+                      {view.bytes.slice(rowStart, rowStart + ROW_BYTES).map((byte, i) => (
+                        <span
+                          key={i}
+                          title={cellTitle(rowStart + i)}
+                          {...cellEvents(rowStart + i)}
+                          className={`relative w-3 h-6 flex items-center justify-center cursor-default ${cellClass(rowStart + i)}`}
+                        >
+                          {asciiText(byte)}
+                        </span>
+                      ))}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+import React, { useState } from "react";
+import { ChevronUp, ChevronDown, GitBranch } from "lucide-react";
+
+const NODE_SPACING = 44;
+const LEVEL_HEIGHT = 64;
+const NODE_RADIUS = 16;
+// Deeper subtrees start collapsed so wide alphabets stay readable
+const INITIAL_DEPTH = 4;
+
+const columns = [
+  { key: "symbol", label: "Symbol" },
+  { key: "frequency", label: "Frequency" },
+  { key: "code", label: "Code" },
+  { key: "bits", label: "Bits" },
+  { key: "bitsSaved", label: "Bits saved" },
+];
+
+function symbolLabel(symbol) {
+  if (symbol === 32) return "␠";
+  if (symbol === 10) return "\\n";
+  if (symbol === 13) return "\\r";
+  if (symbol === 9) return "\\t";
+  if (symbol > 32 && symbol < 127) return String.fromCharCode(symbol);
+  return `0x${symbol.toString(16).padStart(2, "0").toUpperCase()}`;
+}
+
+function collectCollapsed(node, path, collapsed) {
+  if (!node || !node.children) return collapsed;
+  if (path.length >= INITIAL_DEPTH) {
+    collapsed.add(path);
+    return collapsed;
+  }
+  node.children.forEach((child, bit) => collectCollapsed(child, path + bit, collapsed));
+  return collapsed;
+}
+
+// Places visible nodes: leaves (and collapsed subtrees) left to right in tree
+// order, parents centred over their children. Paths ("", "0", "01", ...) name nodes.
+function layoutTree(root, collapsed) {
+  const nodes = [];
+  const edges = [];
+  let nextX = 0;
+
+  function place(node, path, depth) {
+    const y = depth * LEVEL_HEIGHT + NODE_RADIUS + 4;
+    const isOpen = node.children && !collapsed.has(path);
+    let x;
+    if (isOpen) {
+      const placed = node.children
+        .map((child, bit) => (child ? { bit, ...place(child, path + bit, depth + 1) } : null))
+        .filter(Boolean);
+      x = (placed[0].x + placed[placed.length - 1].x) / 2;
+      for (const child of placed) {
+        edges.push({ from: { x, y }, to: child, bit: child.bit, path: path + child.bit });
+      }
+    } else {
+      x = nextX * NODE_SPACING + NODE_RADIUS + 4;
+      nextX++;
+    }
+    nodes.push({ node, path, x, y, collapsedSubtree: node.children && !isOpen });
+    return { x, y };
+  }
+
+  place(root, "", 0);
+  return { nodes, edges, width: nextX * NODE_SPACING + 8 };
+}
+
+function HuffmanTree({ tree, selectedCode, onSelect }) {
+  const [collapsed, setCollapsed] = useState(() => collectCollapsed(tree, "", new Set()));
+  const { nodes, edges, width } = layoutTree(tree, collapsed);
+  const depth = Math.max(...nodes.map((entry) => entry.y));
+  // Edges and nodes on the way to the selected symbol are highlighted
+  const onPath = (path) => selectedCode !== null && selectedCode.startsWith(path);
+
+  const toggle = (path) => {
+    const next = new Set(collapsed);
+    if (next.has(path)) next.delete(path);
+    else next.add(path);
+    setCollapsed(next);
+  };
+
+  return (
+    <div className="overflow-x-auto border rounded bg-gray-50">
+      <svg width={Math.max(width, 200)} height={depth + NODE_RADIUS + 8}>
+        {edges.map((edge) => (
+          <g key={edge.path}>
+            <line
+              x1={edge.from.x}
+              y1={edge.from.y}
+              x2={edge.to.x}
+              y2={edge.to.y}
+              stroke={onPath(edge.path) ? "#16a34a" : "#9ca3af"}
+              strokeWidth={onPath(edge.path) ? 3 : 1.5}
+            />
+            <text
+              x={(edge.from.x + edge.to.x) / 2 + (edge.bit ? 6 : -10)}
+              y={(edge.from.y + edge.to.y) / 2}
+              fontSize="11"
+              fill="#6b7280"
+            >
+              {edge.bit}
+            </text>
+          </g>
+        ))}
+        {nodes.map(({ node, path, x, y, collapsedSubtree }) => {
+          const isLeaf = !node.children;
+          const highlighted = onPath(path);
+          return (
+            <g
+              key={path || "root"}
+              className="cursor-pointer"
+              onClick={() => (isLeaf ? onSelect(node.symbol) : toggle(path))}
+            >
+              <title>
+                {isLeaf
+                  ? `${symbolLabel(node.symbol)}: ${node.frequency} occurrences, code ${path || "0"}`
+                  : `${node.frequency} occurrences below; click to ${collapsedSubtree ? "expand" : "collapse"}`}
+              </title>
+              <circle
+                cx={x}
+                cy={y}
+                r={NODE_RADIUS}
+                fill={isLeaf ? (highlighted ? "#16a34a" : "#2563eb") : collapsedSubtree ? "#e5e7eb" : "#fff"}
+                stroke={highlighted ? "#16a34a" : "#6b7280"}
+                strokeWidth={highlighted ? 2.5 : 1}
+                strokeDasharray={collapsedSubtree ? "3 2" : undefined}
+              />
+              <text
+                x={x}
+                y={y + 4}
+                textAnchor="middle"
+                fontSize="11"
+                fill={isLeaf ? "#fff" : "#374151"}
+              >
+                {isLeaf ? symbolLabel(node.symbol) : collapsedSubtree ? "+" : node.frequency}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+export default function HuffmanExplanation({ explanation }) {
+  const [sort, setSort] = useState({ key: "frequency", descending: true });
+  const [selected, setSelected] = useState(null);
+
+  const symbols = [...explanation.symbols].sort((a, b) => {
+    // Codes sort by length first, then bit pattern, like the canonical order
+    const diff =
+      sort.key === "code"
+        ? a.code.length - b.code.length || a.code.localeCompare(b.code)
+        : a[sort.key] - b[sort.key];
+    return sort.descending ? -diff : diff;
+  });
+  const selectedEntry = explanation.symbols.find((entry) => entry.symbol === selected);
+
+  const sortBy = (key) =>
+    setSort({ key, descending: sort.key === key ? !sort.descending : true });
+
+  return (
+    <div className="bg-white shadow-lg rounded-lg">
+      <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <GitBranch size={20} /> Huffman Code Table
+        </h2>
+        <p className="text-sm opacity-90">
+          {explanation.distinctSymbols} symbols ·{" "}
+          {explanation.averageBitsPerSymbol} bits per byte on average instead of 8
+          {!explanation.wholeFile &&
+            ` · first ${Math.round(explanation.inputBytes / 1024)} KB block`}
+        </p>
+      </div>
+      <div className="p-6 space-y-4">
+        <p className="text-sm text-gray-600">
+          Frequent bytes sit near the root and get short codes. Follow the
+          edges from the root to a leaf to read its code; click a leaf or a
+          table row to trace it, and click an inner node to fold its subtree.
+        </p>
+
+        <HuffmanTree
+          tree={explanation.tree}
+          selectedCode={selectedEntry ? selectedEntry.treeCode : null}
+          onSelect={setSelected}
+        />
+
+        {selectedEntry && (
+          <p className="text-sm text-gray-700">
+            <span className="font-mono font-semibold">{symbolLabel(selectedEntry.symbol)}</span>{" "}
+            appears {selectedEntry.frequency} times. Its tree code is{" "}
+            <span className="font-mono">{selectedEntry.treeCode}</span>; the file
+            stores the canonical code{" "}
+            <span className="font-mono">{selectedEntry.code}</span> of the same
+            length, saving {selectedEntry.bitsSaved} bits overall.
+          </p>
+        )}
+        {explanation.lengthLimited && (
+          <p className="text-xs text-orange-700 bg-orange-50 border border-orange-200 rounded p-2">
+            The tree was deeper than 15 levels, so the encoder flattened the
+            frequencies; some stored codes are shorter or longer than the tree suggests.
+          </p>
+        )}
+
+        <div className="max-h-96 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead className="sticky top-0 bg-white">
+              <tr className="text-left text-gray-500 border-b">
+                {columns.map((column) => (
+                  <th key={column.key} className="py-2">
+                    <button
+                      onClick={() => sortBy(column.key)}
+                      className="inline-flex items-center gap-1 hover:text-gray-800"
+                    >
+                      {column.label}
+                      {sort.key === column.key &&
+                        (sort.descending ? <ChevronDown size={12} /> : <ChevronUp size={12} />)}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {symbols.map((entry) => (
+                <tr
+                  key={entry.symbol}
+                  onClick={() => setSelected(entry.symbol)}
+                  className={`border-b last:border-0 cursor-pointer ${
+                    entry.symbol === selected ? "bg-green-50" : "hover:bg-gray-50"
+                  }`}
+                >
+                  <td className="py-1 font-mono">{symbolLabel(entry.symbol)}</td>
+                  <td className="py-1">{entry.frequency.toLocaleString()}</td>
+                  <td className="py-1 font-mono">{entry.code}</td>
+                  <td className="py-1">{entry.bits}</td>
+                  <td className={`py-1 ${entry.bitsSaved < 0 ? "text-red-600" : "text-green-700"}`}>
+                    {entry.bitsSaved.toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,341 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import {
+  Play,
+  Pause,
+  SkipBack,
+  SkipForward,
+  ChevronLeft,
+  ChevronRight,
+  Footprints,
+} from "lucide-react";
+import { hex } from "../utils/format";
+
+const backendUrl = import.meta.env.VITE_API_URL || "http://localhost:4000";
+const MAX_TRACE_BYTES = 4096;
+const PLAY_INTERVAL_MS = 700;
+const sampleText = "abracadabra abracadabra! the cat sat on the mat, the cat sat.";
+
+function byteText(byte) {
+  if (byte === 32) return "␠";
+  if (byte === 10) return "↵";
+  return byte > 32 && byte < 127 ? String.fromCharCode(byte) : "·";
+}
+
+function describeToken(token, input) {
+  const at = `At position ${token.position}`;
+  if (token.type === "match") {
+    const source = token.position - token.distance;
+    const text = input
+      .slice(token.position, token.position + token.length)
+      .map(byteText)
+      .join("");
+    return `${at} the next ${token.length} bytes "${text}" already appeared ${token.distance} bytes back (from position ${source}), so they become one match token.`;
+  }
+  if (token.deferred) {
+    return `${at} a match was available, but one starting a byte later is longer, so '${byteText(token.literal)}' is written as a literal first (lazy matching).`;
+  }
+  return `${at} nothing in the search window matches at least 3 bytes, so '${byteText(token.literal)}' is written as a literal.`;
+}
+
+// Colours for one input byte at the current step
+function cellClass(index, token) {
+  if (!token) return "bg-white";
+  const end = token.position + token.length;
+  if (index >= token.position && index < end) {
+    return token.type === "match" ? "bg-green-500 text-white" : "bg-orange-400 text-white";
+  }
+  if (token.type === "match") {
+    const source = token.position - token.distance;
+    if (index >= source && index < source + token.length) return "bg-green-200 ring-1 ring-green-600";
+  }
+  if (index >= token.windowStart && index < token.position) return "bg-blue-100";
+  if (index >= end && index < token.lookaheadEnd) return "bg-yellow-100";
+  return index < token.position ? "bg-gray-200 text-gray-400" : "bg-white text-gray-400";
+}
+
+export default function LZ77TraceView() {
+  const [text, setText] = useState(sampleText);
+  const [file, setFile] = useState(null);
+  const fileInputRef = useRef(null);
+  const [windowSize, setWindowSize] = useState(256);
+  const [lazy, setLazy] = useState(true);
+  const [trace, setTrace] = useState(null);
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const lastStep = trace ? trace.tokens.length - 1 : 0;
+  // Playback stops by itself on the last token
+  const isPlaying = playing && step < lastStep;
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const timer = setInterval(() => {
+      setStep((current) => Math.min(current + 1, lastStep));
+    }, PLAY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, lastStep]);
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      setPlaying(false);
+      return;
+    }
+    if (step >= lastStep) setStep(0);
+    setPlaying(true);
+  };
+
+  const handleTrace = async () => {
+    setLoading(true);
+    setError(null);
+    setPlaying(false);
+    const formData = new FormData();
+    if (file) formData.append("file", file);
+    else formData.append("text", text);
+    formData.append("params", JSON.stringify({ windowSize: Number(windowSize), lazy }));
+
+    try {
+      const res = await axios.post(`${backendUrl}/lz77/trace`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      setTrace(res.data);
+      setStep(0);
+    } catch (err) {
+      console.error("Error tracing LZ77:", err);
+      setTrace(null);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const token = trace ? trace.tokens[step] : null;
+  const goTo = (next) => {
+    setPlaying(false);
+    setStep(Math.max(0, Math.min(lastStep, next)));
+  };
+  const inputBytes = file ? file.size : new TextEncoder().encode(text).length;
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto bg-gray-50 min-h-screen">
+      <h1 className="text-4xl font-bold text-center mb-2 text-gray-800">
+        LZ77 Step by Step
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        Watch the sliding window find repeats and turn them into tokens
+      </p>
+
+      <div className="space-y-6">
+        <div className="border rounded-lg shadow-lg bg-white">
+          <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
+            <h2 className="text-xl font-semibold">Input</h2>
+            <p className="text-sm opacity-90">
+              Type a snippet or choose a small file (up to {MAX_TRACE_BYTES} bytes)
+            </p>
+          </div>
+          <div className="p-6 space-y-4">
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              disabled={file !== null}
+              rows={3}
+              className="w-full border rounded p-2 font-mono text-sm disabled:bg-gray-100"
+            />
+            <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+              <label className="inline-flex items-center gap-2">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  className="text-xs"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                />
+              </label>
+              {file && (
+                <button
+                  onClick={() => {
+                    fileInputRef.current.value = "";
+                    setFile(null);
+                  }}
+                  className="text-blue-600 hover:underline"
+                >
+                  Use the text instead
+                </button>
+              )}
+              <label className="inline-flex items-center gap-2">
+                Window size
+                <input
+                  type="number"
+                  min={256}
+                  value={windowSize}
+                  onChange={(e) => setWindowSize(e.target.value)}
+                  className="w-24 border rounded px-2 py-1"
+                />
+              </label>
+              <label className="inline-flex items-center gap-2">
+                <input type="checkbox" checked={lazy} onChange={(e) => setLazy(e.target.checked)} />
+                Lazy matching
+              </label>
+              <span className={inputBytes > MAX_TRACE_BYTES ? "text-red-600" : "text-gray-500"}>
+                {inputBytes} bytes
+              </span>
+              <button
+                onClick={handleTrace}
+                disabled={loading || inputBytes === 0 || inputBytes > MAX_TRACE_BYTES}
+                className="inline-flex items-center gap-2 px-4 py-2 rounded font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                <Footprints size={16} />
+                {loading ? "Tracing..." : "Trace"}
+              </button>
+            </div>
+            {error && (
+              <div className="p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">
+                {error}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {trace && token && (
+          <div className="border rounded-lg shadow-lg bg-white">
+            <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <h2 className="text-xl font-semibold">
+                  Token {step + 1} of {trace.tokens.length}
+                </h2>
+                <p className="text-sm opacity-90">
+                  {trace.originalSize} bytes → {trace.compressedSize} bytes (
+                  {trace.headerSize}-byte header included)
+                </p>
+              </div>
+              <div className="flex gap-1">
+                <button onClick={() => goTo(0)} className="p-2 rounded bg-blue-500 hover:bg-blue-400" title="First token">
+                  <SkipBack size={16} />
+                </button>
+                <button onClick={() => goTo(step - 1)} className="p-2 rounded bg-blue-500 hover:bg-blue-400" title="Previous token">
+                  <ChevronLeft size={16} />
+                </button>
+                <button
+                  onClick={togglePlay}
+                  className="p-2 rounded bg-white text-blue-700"
+                  title={isPlaying ? "Pause" : "Play"}
+                >
+                  {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+                </button>
+                <button onClick={() => goTo(step + 1)} className="p-2 rounded bg-blue-500 hover:bg-blue-400" title="Next token">
+                  <ChevronRight size={16} />
+                </button>
+                <button onClick={() => goTo(lastStep)} className="p-2 rounded bg-blue-500 hover:bg-blue-400" title="Last token">
+                  <SkipForward size={16} />
+                </button>
+              </div>
+            </div>
+
+            <div className="p-6 space-y-4">
+              <p className="text-sm text-gray-700">{describeToken(token, trace.input)}</p>
+
+              <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+                <span><span className="inline-block w-3 h-3 bg-blue-100 mr-1 align-middle" />Search window</span>
+                <span><span className="inline-block w-3 h-3 bg-yellow-100 mr-1 align-middle" />Lookahead</span>
+                <span><span className="inline-block w-3 h-3 bg-green-500 mr-1 align-middle" />Matched bytes</span>
+                <span><span className="inline-block w-3 h-3 bg-green-200 ring-1 ring-green-600 mr-1 align-middle" />Match source</span>
+                <span><span className="inline-block w-3 h-3 bg-orange-400 mr-1 align-middle" />Literal</span>
+              </div>
+
+              <div className="flex flex-wrap font-mono text-sm max-h-64 overflow-y-auto border rounded p-2">
+                {trace.input.map((byte, index) => (
+                  <span
+                    key={index}
+                    title={`Position ${index}: 0x${hex(byte)}`}
+                    className={`w-6 h-7 flex items-center justify-center border border-white ${cellClass(index, token)}`}
+                  >
+                    {byteText(byte)}
+                  </span>
+                ))}
+              </div>
+
+              <div>
+                <span className="text-sm font-medium text-gray-700">
+                  Token stream{" "}
+                  <span className="text-xs font-normal text-gray-500">
+                    (flag bytes mark which of the next 8 tokens are matches)
+                  </span>
+                </span>
+                <div className="flex flex-wrap font-mono text-xs mt-1 max-h-40 overflow-y-auto">
+                  {trace.stream.map((byte, index) => {
+                    const current =
+                      index >= token.outputOffset && index < token.outputOffset + token.outputLength;
+                    return (
+                      <span
+                        key={index}
+                        className={`px-1 border border-white ${
+                          current
+                            ? "bg-green-500 text-white"
+                            : index === token.flagByte
+                              ? "bg-purple-200"
+                              : "bg-gray-100 text-gray-600"
+                        }`}
+                      >
+                        {hex(byte)}
+                      </span>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div className="max-h-72 overflow-y-auto">
+                <table className="w-full text-xs">
+                  <thead className="sticky top-0 bg-white">
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">#</th>
+                      <th className="py-2">Position</th>
+                      <th className="py-2">Window</th>
+                      <th className="py-2">Token</th>
+                      <th className="py-2">Next byte</th>
+                      <th className="py-2">Output</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {trace.tokens.map((entry) => (
+                      <tr
+                        key={entry.index}
+                        onClick={() => {
+                          setPlaying(false);
+                          setStep(entry.index);
+                        }}
+                        className={`border-b last:border-0 cursor-pointer ${
+                          entry.index === step ? "bg-green-50" : "hover:bg-gray-50"
+                        }`}
+                      >
+                        <td className="py-1">{entry.index + 1}</td>
+                        <td className="py-1">{entry.position}</td>
+                        <td className="py-1">
+                          {entry.windowStart}–{entry.position}
+                        </td>
+                        <td className="py-1 font-mono">
+                          {entry.type === "match"
+                            ? `match (distance ${entry.distance}, length ${entry.length})`
+                            : `literal '${byteText(entry.literal)}'${entry.deferred ? " (lazy)" : ""}`}
+                        </td>
+                        <td className="py-1 font-mono">
+                          {entry.nextByte === null ? "end" : `'${byteText(entry.nextByte)}'`}
+                        </td>
+                        <td className="py-1 font-mono">
+                          {trace.stream
+                            .slice(entry.outputOffset, entry.outputOffset + entry.outputLength)
+                            .map(hex)
+                            .join(" ")}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
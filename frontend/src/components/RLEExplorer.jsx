@@ -0,0 +1,312 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Layers } from "lucide-react";
+import { hex } from "../utils/format";
+
+const backendUrl = import.meta.env.VITE_API_URL || "http://localhost:4000";
+const MAX_TRACE_BYTES = 4096;
+const DEBOUNCE_MS = 250;
+const sampleSnippet = "AAAAABBBCDDDD\\xFF\\xFFEEEEEEEE-\\xFF\\xFF\\xFF\\xFF\\xFF end";
+
+const segmentStyles = {
+  run: { cell: "bg-green-500 text-white", label: "Run", swatch: "bg-green-500" },
+  literal: { cell: "bg-gray-200 text-gray-800", label: "Literal", swatch: "bg-gray-200" },
+  escaped: { cell: "bg-red-500 text-white", label: "Escaped escape byte", swatch: "bg-red-500" },
+};
+
+// Text with \xHH escapes, so bytes UTF-8 text cannot contain (like 0xFF) can be typed
+function parseSnippet(text) {
+  const bytes = [];
+  const encoder = new TextEncoder();
+  let last = 0;
+  for (const match of text.matchAll(/\\x([0-9a-fA-F]{2})/g)) {
+    bytes.push(...encoder.encode(text.slice(last, match.index)));
+    bytes.push(parseInt(match[1], 16));
+    last = match.index + match[0].length;
+  }
+  bytes.push(...encoder.encode(text.slice(last)));
+  return new Uint8Array(bytes);
+}
+
+function byteText(byte) {
+  if (byte === 32) return "␠";
+  if (byte === 10) return "↵";
+  return byte > 32 && byte < 127 ? String.fromCharCode(byte) : hex(byte);
+}
+
+function describeSegment(segment, escapeByte) {
+  if (segment.type === "run") {
+    return `${segment.length} × ${byteText(segment.byte)} → escape ${hex(escapeByte)}, value ${hex(segment.byte)}, count ${segment.length}`;
+  }
+  if (segment.type === "escaped") {
+    return `A literal ${hex(escapeByte)} would look like the start of a run, so it is written as a run of length 1`;
+  }
+  return `${segment.length} byte${segment.length === 1 ? "" : "s"} copied unchanged (runs shorter than the minimum stay literal)`;
+}
+
+function ParamInput({ label, value, min, max, onChange }) {
+  return (
+    <label className="flex flex-col gap-1 text-sm text-gray-700">
+      <span>
+        {label}: <span className="font-mono">{value}</span>
+      </span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+      />
+    </label>
+  );
+}
+
+export default function RLEExplorer() {
+  const [snippet, setSnippet] = useState(sampleSnippet);
+  const [minRunLength, setMinRunLength] = useState(3);
+  const [maxRunLength, setMaxRunLength] = useState(255);
+  const [escapeByte, setEscapeByte] = useState(0xff);
+  const [trace, setTrace] = useState(null);
+  const [error, setError] = useState(null);
+  const [active, setActive] = useState(null);
+
+  const bytes = parseSnippet(snippet);
+  const tooLarge = bytes.length > MAX_TRACE_BYTES;
+  // Effects compare by value, so the bytes are keyed as a string
+  const bytesKey = Array.from(bytes).join(",");
+
+  // Re-encode shortly after the input or a parameter stops changing
+  useEffect(() => {
+    if (bytesKey === "" || tooLarge) return undefined;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const formData = new FormData();
+      const input = new Uint8Array(bytesKey.split(",").map(Number));
+      formData.append("file", new Blob([input]), "snippet.bin");
+      formData.append("params", JSON.stringify({ minRunLength, maxRunLength, escapeByte }));
+      try {
+        const res = await axios.post(`${backendUrl}/rle/trace`, formData, {
+          headers: { "Content-Type": "multipart/form-data" },
+          signal: controller.signal,
+        });
+        setTrace(res.data);
+        setError(null);
+        setActive(null);
+      } catch (err) {
+        if (axios.isCancel(err)) return;
+        console.error("Error tracing RLE:", err);
+        setError(err.response?.data?.error || err.message);
+      }
+    }, DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [bytesKey, tooLarge, minRunLength, maxRunLength, escapeByte]);
+
+  // Input byte index -> segment index, for colouring and hover
+  const segmentAt = [];
+  if (trace) {
+    trace.segments.forEach((segment, index) => {
+      for (let i = segment.position; i < segment.position + segment.length; i++) {
+        segmentAt[i] = index;
+      }
+    });
+  }
+  const outputSegmentAt = [];
+  if (trace) {
+    trace.segments.forEach((segment, index) => {
+      for (let i = segment.outputOffset; i < segment.outputOffset + segment.outputLength; i++) {
+        outputSegmentAt[i] = index;
+      }
+    });
+  }
+  const ring = (index) => (index === active ? "ring-2 ring-blue-600 z-10" : "");
+  const headerLabels = ["Size", "Size", "Size", "Size", "Marker", "Escape"];
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto bg-gray-50 min-h-screen">
+      <h1 className="text-4xl font-bold text-center mb-2 text-gray-800">
+        RLE Explorer
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        See which bytes become runs, which stay literal and why the escape byte needs escaping
+      </p>
+
+      <div className="space-y-6">
+        <div className="border rounded-lg shadow-lg bg-white">
+          <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
+            <h2 className="text-xl font-semibold">Input</h2>
+            <p className="text-sm opacity-90">
+              Type a snippet; write raw bytes as \xHH (for example \xFF). Up to{" "}
+              {MAX_TRACE_BYTES} bytes.
+            </p>
+          </div>
+          <div className="p-6 space-y-4">
+            <textarea
+              value={snippet}
+              onChange={(e) => setSnippet(e.target.value)}
+              rows={3}
+              className="w-full border rounded p-2 font-mono text-sm"
+            />
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <ParamInput
+                label="Minimum run length"
+                value={minRunLength}
+                min={2}
+                max={16}
+                onChange={setMinRunLength}
+              />
+              <ParamInput
+                label="Maximum run length"
+                value={maxRunLength}
+                min={2}
+                max={255}
+                onChange={setMaxRunLength}
+              />
+              <ParamInput
+                label={`Escape byte (0x${hex(escapeByte)})`}
+                value={escapeByte}
+                min={0}
+                max={255}
+                onChange={setEscapeByte}
+              />
+            </div>
+            <p className={`text-sm ${tooLarge ? "text-red-600" : "text-gray-500"}`}>
+              {bytes.length} bytes
+              {tooLarge && ` — shorten the snippet to ${MAX_TRACE_BYTES} bytes or less`}
+            </p>
+            {error && (
+              <div className="p-3 rounded border border-red-200 bg-red-50 text-sm text-red-700">
+                {error}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Hidden while the snippet is empty or too long to encode */}
+        {trace && bytes.length > 0 && !tooLarge && (
+          <div className="border rounded-lg shadow-lg bg-white">
+            <div className="bg-blue-600 text-white px-6 py-4 rounded-t-lg">
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <Layers size={20} /> Encoding
+              </h2>
+              <p className="text-sm opacity-90">
+                {trace.originalSize} bytes → {trace.compressedSize} bytes (
+                {trace.header.length}-byte header included)
+              </p>
+            </div>
+            <div className="p-6 space-y-4">
+              <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+                {Object.values(segmentStyles).map((style) => (
+                  <span key={style.label}>
+                    <span className={`inline-block w-3 h-3 mr-1 align-middle ${style.swatch}`} />
+                    {style.label}
+                  </span>
+                ))}
+                <span className="text-gray-400">Hover a byte to see what it became</span>
+              </div>
+
+              <div>
+                <span className="text-sm font-medium text-gray-700">Input</span>
+                <div className="flex flex-wrap font-mono text-xs mt-1">
+                  {trace.input.map((byte, index) => {
+                    const segmentIndex = segmentAt[index];
+                    const segment = trace.segments[segmentIndex];
+                    return (
+                      <span
+                        key={index}
+                        title={`Position ${index}: 0x${hex(byte)}`}
+                        onMouseEnter={() => setActive(segmentIndex)}
+                        onMouseLeave={() => setActive(null)}
+                        className={`relative min-w-7 h-7 px-1 flex items-center justify-center border border-white cursor-default ${segmentStyles[segment.type].cell} ${ring(segmentIndex)}`}
+                      >
+                        {byteText(byte)}
+                      </span>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div>
+                <span className="text-sm font-medium text-gray-700">Output bytes</span>
+                <div className="flex flex-wrap font-mono text-xs mt-1">
+                  {trace.header.map((byte, index) => (
+                    <span
+                      key={`h${index}`}
+                      title={headerLabels[index]}
+                      className="min-w-7 h-7 px-1 flex items-center justify-center border border-white bg-purple-200 text-purple-900"
+                    >
+                      {hex(byte)}
+                    </span>
+                  ))}
+                  {trace.stream.map((byte, index) => {
+                    const segmentIndex = outputSegmentAt[index];
+                    const segment = trace.segments[segmentIndex];
+                    return (
+                      <span
+                        key={index}
+                        onMouseEnter={() => setActive(segmentIndex)}
+                        onMouseLeave={() => setActive(null)}
+                        className={`relative min-w-7 h-7 px-1 flex items-center justify-center border border-white cursor-default ${segmentStyles[segment.type].cell} ${ring(segmentIndex)}`}
+                      >
+                        {hex(byte)}
+                      </span>
+                    );
+                  })}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Purple: header with the original size (4 bytes), the 0xE1
+                  marker and the escape byte.
+                </p>
+              </div>
+
+              <div className="max-h-72 overflow-y-auto">
+                <table className="w-full text-xs">
+                  <thead className="sticky top-0 bg-white">
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Kind</th>
+                      <th className="py-2">Input bytes</th>
+                      <th className="py-2">Output</th>
+                      <th className="py-2">Why</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {trace.segments.map((segment, index) => (
+                      <tr
+                        key={index}
+                        onMouseEnter={() => setActive(index)}
+                        onMouseLeave={() => setActive(null)}
+                        className={`border-b last:border-0 ${index === active ? "bg-blue-50" : ""}`}
+                      >
+                        <td className="py-1">
+                          <span
+                            className={`inline-block w-3 h-3 mr-1 align-middle ${segmentStyles[segment.type].swatch}`}
+                          />
+                          {segmentStyles[segment.type].label}
+                        </td>
+                        <td className="py-1">
+                          {segment.position}–{segment.position + segment.length - 1} (
+                          {segment.length})
+                        </td>
+                        <td className="py-1 font-mono">
+                          {trace.stream
+                            .slice(segment.outputOffset, segment.outputOffset + segment.outputLength)
+                            .map(hex)
+                            .join(" ")}
+                        </td>
+                        <td className="py-1 text-gray-600">
+                          {describeSegment(segment, trace.params.escapeByte)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+// File: src/utils/format.js
+// Formatting helpers shared by the components
+
+// Upper-case hex without a prefix, zero-padded to `digits`
+export function hex(value, digits = 2) {
+  return value.toString(16).padStart(digits, "0").toUpperCase();
+}
+
+export function formatFileSize(bytes) {
+  if (bytes === 0) return "0 Bytes";
+  const k = 1024;
+  const sizes = ["Bytes", "KB", "MB", "GB"];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+}